@@ -0,0 +1,215 @@
+// admin-auth.js（管理者ログイン：パスワードのハッシュ照合 / ロールと担当ルーム / セッション / ログイン失敗のロックアウト）
+// - パスワードは "scrypt$<salt>$<hash>"（hex）の形で持つ。ハッシュは `node admin-auth.js hash <パスワード>` で作れる
+// - セッションIDとCSRFトークンはランダム値。セッションはメモリのみ（再起動でログアウトになる）
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const SCRYPT_KEYLEN = 32;
+
+// 起動時（環境変数のパスワード）と CLI 用。リクエストの処理中は hashPasswordAsync を使う
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// 戻り値: Promise<string>（hashPassword と同じ形）
+async function hashPasswordAsync(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = await scryptAsync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+function isPasswordHash(stored) {
+  return /^scrypt\$[0-9a-f]+\$[0-9a-f]{64}$/i.test(String(stored || ""));
+}
+
+// ログインのたびに呼ばれるので、イベントループを止めないよう非同期で計算する（戻り値: Promise<boolean>）
+async function verifyPassword(password, stored) {
+  if (!isPasswordHash(stored)) return false;
+  const [, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(String(password ?? ""), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// 長さの違う文字列でも例外にならない比較
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ""));
+  const y = Buffer.from(String(b ?? ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// "a=1; b=2" → { a: "1", b: "2" }
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    const key = part.slice(0, i).trim();
+    if (!key || key in out) continue;
+    try {
+      out[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_) {
+      out[key] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+// ===========================
+// ロールと担当ルーム
+// ===========================
+// topic_editor: お題の編集 / moderator: BAN・ミュート・モデレーション設定 / owner: すべて（ルーム・アカウント管理を含む）
+const ADMIN_ROLES = ["topic_editor", "moderator", "owner"];
+const ROLE_PERMISSIONS = {
+  topic_editor: ["topics"],
+  moderator: ["moderation"],
+  owner: ["topics", "moderation", "owner"],
+};
+
+function hasPermission(account, perm) {
+  return !!account && (ROLE_PERMISSIONS[account.role] || []).includes(perm);
+}
+
+// rooms が空なら全ルーム担当
+function isRoomScoped(account) {
+  return !!account && Array.isArray(account.rooms) && account.rooms.length > 0;
+}
+
+function canAccessRoom(account, room) {
+  if (!account) return false;
+  return !isRoomScoped(account) || account.rooms.includes(room);
+}
+
+// ===========================
+// セッション
+// ===========================
+// idleMs 操作が無いと失効 / maxAgeMs ログインからの最長時間
+function createSessionStore({ idleMs, maxAgeMs }) {
+  const sessions = new Map(); // id -> { id, csrfToken, createdAt, lastSeenAt, expiresAt, ...data }
+
+  function create(data = {}, now = Date.now()) {
+    const session = {
+      ...data,
+      id: crypto.randomBytes(32).toString("hex"),
+      csrfToken: crypto.randomBytes(32).toString("hex"),
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: Math.min(now + idleMs, now + maxAgeMs),
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // 有効なら期限を延ばして返す
+  function touch(id, now = Date.now()) {
+    const s = id ? sessions.get(id) : null;
+    if (!s) return null;
+    if (now >= s.expiresAt) {
+      sessions.delete(id);
+      return null;
+    }
+    s.lastSeenAt = now;
+    s.expiresAt = Math.min(now + idleMs, s.createdAt + maxAgeMs);
+    return s;
+  }
+
+  // 有効なら返す（期限は延ばさない：監視画面のように開いたままの接続用）
+  function peek(id, now = Date.now()) {
+    const s = id ? sessions.get(id) : null;
+    if (!s || now >= s.expiresAt) return null;
+    return s;
+  }
+
+  function destroy(id) {
+    sessions.delete(id);
+  }
+
+  function evict(now = Date.now()) {
+    for (const [id, s] of sessions) {
+      if (now >= s.expiresAt) sessions.delete(id);
+    }
+  }
+
+  return {
+    create,
+    touch,
+    peek,
+    destroy,
+    evict,
+    get size() {
+      return sessions.size;
+    },
+  };
+}
+
+// ===========================
+// ログイン失敗のロックアウト
+// ===========================
+// windowMs 以内に maxFailures 回失敗した key（IPなど）は lockMs のあいだログインさせない
+function createLoginGuard({ maxFailures, windowMs, lockMs }) {
+  const state = new Map(); // key -> { failures: [at], lockedUntil }
+
+  // 戻り値: ロック中ならあと何ms / 0
+  function lockedFor(key, now = Date.now()) {
+    const st = state.get(key);
+    if (!st || !st.lockedUntil) return 0;
+    return Math.max(0, st.lockedUntil - now);
+  }
+
+  // 失敗を記録する。戻り値: { failures, lockedMs }
+  function fail(key, now = Date.now()) {
+    const st = state.get(key) || { failures: [], lockedUntil: 0 };
+    st.failures = st.failures.filter((at) => now - at < windowMs);
+    st.failures.push(now);
+    if (st.failures.length >= maxFailures) {
+      st.lockedUntil = now + lockMs;
+      st.failures = [];
+    }
+    state.set(key, st);
+    return { failures: st.failures.length, lockedMs: Math.max(0, st.lockedUntil - now) };
+  }
+
+  function succeed(key) {
+    state.delete(key);
+  }
+
+  function evict(now = Date.now()) {
+    for (const [key, st] of state) {
+      if (st.lockedUntil <= now && !st.failures.some((at) => now - at < windowMs)) state.delete(key);
+    }
+  }
+
+  return {
+    lockedFor,
+    fail,
+    succeed,
+    evict,
+  };
+}
+
+module.exports = {
+  hashPassword,
+  hashPasswordAsync,
+  isPasswordHash,
+  verifyPassword,
+  safeEqual,
+  parseCookies,
+  ADMIN_ROLES,
+  hasPermission,
+  isRoomScoped,
+  canAccessRoom,
+  createSessionStore,
+  createLoginGuard,
+};
+
+// node admin-auth.js hash <パスワード> → .env の ADMIN_PASSWORD_HASH に書く値を表示
+if (require.main === module) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd !== "hash" || !password) {
+    console.error("usage: node admin-auth.js hash <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
@@ -0,0 +1,99 @@
+// audit-log.js（モデレーション監査ログ：追記専用 JSONL + サイズでローテーション）
+// audit.jsonl → audit.1.jsonl → audit.2.jsonl … と古いものほど番号が大きい
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+function createAuditLog({ dir, baseName = "audit", maxBytes = 2 * 1024 * 1024, maxFiles = 5 } = {}) {
+  const fileOf = (n) => path.join(dir, n === 0 ? `${baseName}.jsonl` : `${baseName}.${n}.jsonl`);
+
+  function ensureDir() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function rotateIfNeeded() {
+    let size = 0;
+    try {
+      size = fs.statSync(fileOf(0)).size;
+    } catch (_) {
+      return;
+    }
+    if (size < maxBytes) return;
+
+    // 一番古いものを消して、残りを1つずつずらす
+    const last = fileOf(maxFiles - 1);
+    if (fs.existsSync(last)) fs.unlinkSync(last);
+    for (let n = maxFiles - 2; n >= 0; n--) {
+      if (fs.existsSync(fileOf(n))) fs.renameSync(fileOf(n), fileOf(n + 1));
+    }
+  }
+
+  function append(entry) {
+    const line = JSON.stringify({ at: Date.now(), ...entry }) + "\n";
+    try {
+      ensureDir();
+      rotateIfNeeded();
+      fs.appendFileSync(fileOf(0), line, "utf8");
+    } catch (e) {
+      console.error("audit log write error:", e);
+    }
+  }
+
+  // 1ファイルを1行ずつ読み、filter に合ったものを古い順に onMatch へ渡す（丸ごとメモリに載せない）
+  async function scanFile(n, filter, onMatch) {
+    let stream;
+    try {
+      stream = fs.createReadStream(fileOf(n), { encoding: "utf8" });
+    } catch (_) {
+      return;
+    }
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try {
+      for await (const line of rl) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (_) {
+          continue;
+        }
+        if (filter(entry)) onMatch(entry);
+      }
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error("audit log read error:", e);
+    } finally {
+      rl.close();
+      stream.destroy();
+    }
+  }
+
+  // filter(entry) に合うものを新しい順に offset / limit で返す
+  // ファイル内は古い順に並んでいるので、各ファイルで「末尾側の必要な件数」だけを残す
+  async function query({ filter = () => true, offset = 0, limit = 50 } = {}) {
+    const items = [];
+    let total = 0;
+    for (let n = 0; n < maxFiles; n++) {
+      const keep = Math.max(0, offset + limit - total); // このファイルの新しい側から何件あれば足りるか
+      let tail = [];
+      let count = 0;
+      await scanFile(n, filter, (entry) => {
+        count++;
+        if (keep === 0) return;
+        tail.push(entry);
+        if (tail.length >= keep * 2) tail = tail.slice(-keep); // 古い側を捨てて上限を保つ
+      });
+      if (keep > 0) tail = tail.slice(-keep);
+
+      // 新しい順に取り出す（j = このファイル内で新しい方から数えた位置）
+      for (let j = 0; j < tail.length && items.length < limit; j++) {
+        if (total + j >= offset) items.push(tail[tail.length - 1 - j]);
+      }
+      total += count;
+    }
+    return { items, total };
+  }
+
+  return { append, query };
+}
+
+module.exports = { createAuditLog };
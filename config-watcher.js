@@ -0,0 +1,82 @@
+// config-watcher.js（設定JSONの変更を監視して読み直す）
+// - writeJsonSafe は tmp → rename で置き換えるので、ファイルではなくディレクトリを監視する
+// - 保存途中の連続イベントはまとめて、最後の変更から debounceMs 後に1回だけ読む
+// - 内容が前回読んだものと同じなら何もしない（自分で書いた内容も apply 側で「変化なし」と判定する）
+const fs = require("fs");
+const path = require("path");
+
+function createConfigWatcher({ debounceMs = 300 } = {}) {
+  const entries = new Map(); // 絶対パス -> { label, apply, timer, lastText }
+  const dirWatchers = new Map(); // ディレクトリ -> fs.FSWatcher
+
+  function reload(file) {
+    const e = entries.get(file);
+    if (!e) return;
+    e.timer = null;
+
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`[config] ${e.label}: read error:`, err.message);
+      return; // 消えた・置き換え途中のときは前の設定のまま
+    }
+    if (text === e.lastText) return;
+    e.lastText = text;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      console.error(`[config] ${e.label}: invalid JSON, keeping previous settings:`, err.message);
+      return;
+    }
+
+    // apply は不正なら例外を投げる / 反映したら true、今と同じ内容なら false を返す
+    try {
+      if (e.apply(data)) console.log(`[config] ${e.label} reloaded`);
+    } catch (err) {
+      console.error(`[config] ${e.label}: rejected, keeping previous settings:`, err.message);
+    }
+  }
+
+  function onDirEvent(dir, filename) {
+    if (!filename) return;
+    const file = path.join(dir, String(filename));
+    const e = entries.get(file);
+    if (!e) return;
+    if (e.timer) clearTimeout(e.timer);
+    e.timer = setTimeout(() => reload(file), debounceMs);
+  }
+
+  function watch(filePath, { label = path.basename(filePath), apply }) {
+    const file = path.resolve(filePath);
+    let lastText = null;
+    try {
+      lastText = fs.readFileSync(file, "utf8");
+    } catch (_) {}
+    entries.set(file, { label, apply, timer: null, lastText });
+
+    const dir = path.dirname(file);
+    if (!dirWatchers.has(dir)) {
+      try {
+        const w = fs.watch(dir, (_event, filename) => onDirEvent(dir, filename));
+        w.on("error", (err) => console.error("[config] watch error:", dir, err.message));
+        dirWatchers.set(dir, w);
+      } catch (err) {
+        console.error("[config] cannot watch:", dir, err.message);
+      }
+    }
+  }
+
+  function close() {
+    for (const w of dirWatchers.values()) w.close();
+    dirWatchers.clear();
+    for (const e of entries.values()) if (e.timer) clearTimeout(e.timer);
+    entries.clear();
+  }
+
+  return { watch, close };
+}
+
+module.exports = { createConfigWatcher };
@@ -0,0 +1,173 @@
+// ip-utils.js（IPアドレス / CIDR の解析と高速なレンジ照合）
+// - IPv4 / IPv6 を BigInt に変換して扱う
+// - "::ffff:1.2.3.4"（IPv4射影アドレス）は IPv4 として扱う
+
+function parseIpv4(str) {
+  const parts = str.split(".");
+  if (parts.length !== 4) return null;
+  let v = 0n;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p)) return null;
+    const n = Number(p);
+    if (n > 255) return null;
+    v = (v << 8n) | BigInt(n);
+  }
+  return v;
+}
+
+function parseIpv6(str) {
+  let s = str.split("%")[0]; // ゾーンID除去
+  if (!/^[0-9a-fA-F:.]+$/.test(s)) return null;
+
+  // 末尾が埋め込みIPv4（::ffff:1.2.3.4 など）
+  let tail = [];
+  const lastColon = s.lastIndexOf(":");
+  if (s.includes(".", lastColon)) {
+    const v4 = parseIpv4(s.slice(lastColon + 1));
+    if (v4 === null) return null;
+    tail = [Number(v4 >> 16n), Number(v4 & 0xffffn)];
+    s = s.slice(0, lastColon + 1);
+    if (!s.endsWith("::")) s = s.slice(0, -1);
+  }
+
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+
+  const toGroups = (h) => (h === "" ? [] : h.split(":"));
+  const head = toGroups(halves[0]);
+  const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+  const given = head.length + rest.length + tail.length;
+
+  let groups;
+  if (halves.length === 2) {
+    if (given > 7) return null;
+    groups = [...head, ...Array(8 - given).fill("0"), ...rest];
+  } else {
+    if (given !== 8) return null;
+    groups = head;
+  }
+
+  let v = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(g)) return null;
+    v = (v << 16n) | BigInt(parseInt(g, 16));
+  }
+  for (const n of tail) v = (v << 16n) | BigInt(n);
+  return v;
+}
+
+// "1.2.3.4" / "2001:db8::1" / "::ffff:1.2.3.4" → { version, value } | null
+function parseIp(str) {
+  const s = String(str ?? "").trim();
+  if (!s) return null;
+
+  const v4 = parseIpv4(s);
+  if (v4 !== null) return { version: 4, value: v4 };
+
+  const v6 = parseIpv6(s);
+  if (v6 === null) return null;
+  if (v6 >> 32n === 0xffffn) return { version: 4, value: v6 & 0xffffffffn };
+  return { version: 6, value: v6 };
+}
+
+function bitsOf(version) {
+  return version === 4 ? 32 : 128;
+}
+
+function maskOf(version, prefix) {
+  const bits = BigInt(bitsOf(version));
+  const p = BigInt(prefix);
+  return ((1n << p) - 1n) << (bits - p);
+}
+
+function formatIp({ version, value }) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((sh) => String((value >> sh) & 0xffn)).join(".");
+  }
+  const groups = [];
+  for (let sh = 112n; sh >= 0n; sh -= 16n) groups.push(Number((value >> sh) & 0xffffn));
+
+  // 最長の0連続を :: に畳む
+  let best = { start: -1, len: 0 };
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > best.len && j - i > 1) best = { start: i, len: j - i };
+    i = j;
+  }
+  const hex = groups.map((g) => g.toString(16));
+  if (best.start === -1) return hex.join(":");
+  const left = hex.slice(0, best.start).join(":");
+  const right = hex.slice(best.start + best.len).join(":");
+  return `${left}::${right}`;
+}
+
+// "10.0.0.0/8" / "2001:db8::/64" / 単体IP → { version, prefix, network } | null
+function parseCidr(str) {
+  const s = String(str ?? "").trim();
+  const [addr, prefixStr, extra] = s.split("/");
+  if (extra !== undefined) return null;
+
+  const ip = parseIp(addr);
+  if (!ip) return null;
+
+  let prefix = bitsOf(ip.version);
+  if (prefixStr !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixStr)) return null;
+    prefix = Number(prefixStr);
+    // IPv4射影アドレスで書かれた範囲は IPv4 の prefix に読み替える
+    if (ip.version === 4 && parseIpv4(addr) === null) prefix -= 96;
+    if (prefix < 0 || prefix > bitsOf(ip.version)) return null;
+  }
+
+  return { version: ip.version, prefix, network: ip.value & maskOf(ip.version, prefix) };
+}
+
+// 正規化した表記（単体IPは "/32" "/128" を付けない）
+function formatCidr(c) {
+  const base = formatIp({ version: c.version, value: c.network });
+  return c.prefix === bitsOf(c.version) ? base : `${base}/${c.prefix}`;
+}
+
+function normalizeIp(str) {
+  const ip = parseIp(str);
+  return ip ? formatIp(ip) : String(str ?? "").trim();
+}
+
+// CIDRの集合。prefix長ごとに Set を持つので、照合は「登場する prefix 長の種類数」回で済む
+function createIpMatcher(list) {
+  const byPrefix = new Map(); // "4/24" -> Set<network(BigInt文字列)>
+
+  for (const item of list || []) {
+    const c = typeof item === "string" ? parseCidr(item) : item;
+    if (!c) continue;
+    const key = `${c.version}/${c.prefix}`;
+    if (!byPrefix.has(key)) byPrefix.set(key, { version: c.version, prefix: c.prefix, set: new Set() });
+    byPrefix.get(key).set.add(c.network.toString());
+  }
+
+  return {
+    size: byPrefix.size,
+    has(ipStr) {
+      const ip = typeof ipStr === "string" ? parseIp(ipStr) : ipStr;
+      if (!ip) return false;
+      for (const { version, prefix, set } of byPrefix.values()) {
+        if (version !== ip.version) continue;
+        if (set.has((ip.value & maskOf(version, prefix)).toString())) return true;
+      }
+      return false;
+    },
+  };
+}
+
+module.exports = {
+  parseIp,
+  parseCidr,
+  formatCidr,
+  normalizeIp,
+  createIpMatcher,
+};
@@ -0,0 +1,198 @@
+// pii-detectors.js（個人情報・連絡先の検出器）
+// - 検出器は { id, label, description, detect(text) → 見つかった文字列 | null } の形で登録する
+// - text は NFKC 正規化・小文字化してから渡す（全角英数字・全角記号はここで半角になる）
+// - どれを有効にするかは呼び出し側（moderation.piiDetectors）で決める
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+
+// 電話番号の区切りとして読み飛ばす文字
+const PHONE_SEPARATOR_RE = /[\s\-‐‑–—―ー−・.,、()（）]/;
+
+// 「ゼロキューゼロ…」のような読み → 数字（長いものから順に照合）
+const NUMBER_WORDS = [
+  ["ファイブ", "5"], ["シックス", "6"], ["セブン", "7"], ["エイト", "8"], ["ナイン", "9"], ["フォー", "4"],
+  ["きゅう", "9"], ["キュウ", "9"], ["きゅー", "9"], ["キュー", "9"], ["スリー", "3"],
+  ["ゼロ", "0"], ["ぜろ", "0"], ["れい", "0"], ["レイ", "0"], ["まる", "0"], ["マル", "0"], ["オー", "0"],
+  ["いち", "1"], ["イチ", "1"], ["ワン", "1"], ["ツー", "2"], ["さん", "3"], ["サン", "3"],
+  ["よん", "4"], ["ヨン", "4"], ["ろく", "6"], ["ロク", "6"], ["なな", "7"], ["ナナ", "7"],
+  ["しち", "7"], ["シチ", "7"], ["はち", "8"], ["ハチ", "8"],
+  ["〇", "0"], ["零", "0"], ["一", "1"], ["二", "2"], ["三", "3"], ["四", "4"],
+  ["五", "5"], ["六", "6"], ["七", "7"], ["八", "8"], ["九", "9"],
+  ["に", "2"], ["ニ", "2"], ["し", "4"], ["シ", "4"], ["ご", "5"], ["ゴ", "5"], ["く", "9"], ["ク", "9"],
+];
+
+// 数字・数字の読み・区切りだけが続く部分を数字列にして返す（例：「ぜろきゅーぜろ 1234」→ ["0901234"]）
+function digitRuns(text) {
+  const runs = [];
+  let cur = "";
+  let raw = "";
+  let i = 0;
+  const flush = () => {
+    if (cur) runs.push({ digits: cur, raw: raw.trim() });
+    cur = "";
+    raw = "";
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/[0-9]/.test(ch)) {
+      cur += ch;
+      raw += ch;
+      i++;
+      continue;
+    }
+    const word = NUMBER_WORDS.find(([w]) => text.startsWith(w, i));
+    if (word) {
+      cur += word[1];
+      raw += word[0];
+      i += word[0].length;
+      continue;
+    }
+    if (cur && PHONE_SEPARATOR_RE.test(ch)) {
+      raw += ch;
+      i++;
+      continue;
+    }
+    flush();
+    i++;
+  }
+  flush();
+  return runs;
+}
+
+// 読み（「ゼロ」「九」など）が1つでも混ざっているか
+function hasNumberWords(raw) {
+  return /[^0-9]/.test(raw.replace(new RegExp(PHONE_SEPARATOR_RE.source, "g"), ""));
+}
+
+function looksLikePhone(digits) {
+  return /^0\d{9,10}$/.test(digits) || /^81\d{9,10}$/.test(digits);
+}
+
+// 「LINE ID: abcd」「インスタ@abcd」のような「サービス名 + ID」
+// 英字のサービス名（twitter / kakao など）は普通の英文にも出てくるので、「id」「:」「@」などの区切りがあるときだけ拾う。
+// 普通の単語でもあるもの（x / line）は「x: hello」のような文を拾わないよう、「id」か「@」が付いたときだけ
+const HANDLE_ID_CONNECTOR = "(?:のid|id|アイディー?|アカウント|アカ|垢)\\s*(?:は|[:=→])?";
+const HANDLE_CONNECTOR = `(?:${HANDLE_ID_CONNECTOR}|は|[:=→]|(?=@))`;
+const HANDLE_STRICT_CONNECTOR = `(?:${HANDLE_ID_CONNECTOR}\\s*@?|(?:は|[:=→])?\\s*@)`;
+
+function handleAfter({ ja = [], en = [], enWords = [] }, idChars, min = 3) {
+  const chars = `[${idChars}]{${min},30}`;
+  const id = `@?${chars}`;
+  const parts = [];
+  if (ja.length > 0) parts.push(`(?:${ja.join("|")})\\s*${HANDLE_CONNECTOR}?\\s*${id}`);
+  if (en.length > 0) parts.push(`(?<![a-z])(?:${en.join("|")})\\s*${HANDLE_CONNECTOR}\\s*${id}`);
+  if (enWords.length > 0) parts.push(`(?<![a-z])(?:${enWords.join("|")})\\s*${HANDLE_STRICT_CONNECTOR}${chars}`);
+  const re = new RegExp(parts.join("|"), "iu");
+  return (text) => {
+    const m = text.match(re);
+    return m ? m[0] : null;
+  };
+}
+
+function firstMatch(...fns) {
+  return (text) => {
+    for (const fn of fns) {
+      const hit = fn(text);
+      if (hit) return hit;
+    }
+    return null;
+  };
+}
+
+function regexDetector(re) {
+  return (text) => {
+    const m = text.match(re);
+    return m ? m[0] : null;
+  };
+}
+
+const DETECTORS = [
+  {
+    id: "email",
+    label: "メールアドレス",
+    description: "name@example.com の形",
+    detect: regexDetector(EMAIL_REGEX),
+  },
+  {
+    id: "phone",
+    label: "電話番号",
+    description: "090-1234-5678、全角数字、+81 から始まるもの",
+    detect: (text) => {
+      for (const run of digitRuns(text.replace(/\+(?=81)/g, ""))) {
+        if (!hasNumberWords(run.raw) && looksLikePhone(run.digits)) return run.raw;
+      }
+      return null;
+    },
+  },
+  {
+    id: "spelledPhone",
+    label: "読み仮名の電話番号",
+    description: "「ぜろきゅーぜろ…」「ゼロ九〇…」のように数字を言葉で書いたもの",
+    detect: (text) => {
+      for (const run of digitRuns(text)) {
+        if (hasNumberWords(run.raw) && looksLikePhone(run.digits)) return run.raw;
+      }
+      return null;
+    },
+  },
+  {
+    id: "line",
+    label: "LINE ID",
+    description: "「LINE ID: xxx」「ライン@xxx」、line.me のリンク",
+    detect: firstMatch(regexDetector(/line\.me\/\S+/i), handleAfter({ ja: ["ライン", "らいん"], enWords: ["line"] }, "a-z0-9._-", 4)),
+  },
+  {
+    id: "x",
+    label: "X（Twitter）のID",
+    description: "「ツイッター @xxx」「X: @xxx」「X ID: xxx」、twitter.com / x.com のリンク",
+    detect: firstMatch(
+      regexDetector(/(?:twitter|x)\.com\/\w+/i),
+      handleAfter({ ja: ["ツイッター", "ついったー", "ツイ垢", "エックス"], en: ["twitter"], enWords: ["x"] }, "a-z0-9_", 3)
+    ),
+  },
+  {
+    id: "instagram",
+    label: "InstagramのID",
+    description: "「インスタ @xxx」、instagram.com のリンク",
+    detect: firstMatch(
+      regexDetector(/instagram\.com\/\S+/i),
+      handleAfter({ ja: ["インスタグラム", "インスタ", "いんすた"], en: ["instagram", "insta"] }, "a-z0-9._", 3)
+    ),
+  },
+  {
+    id: "kakao",
+    label: "カカオトークのID",
+    description: "「カカオ ID: xxx」「kakao: xxx」",
+    detect: handleAfter({ ja: ["カカオトーク", "カカオ", "かかお"], en: ["kakaotalk", "kakao"] }, "a-z0-9._-", 3),
+  },
+  {
+    id: "atHandle",
+    label: "SNSのID",
+    description: "サービス名なしの「@xxxx」",
+    detect: regexDetector(/(?<![a-z0-9._%+-])@[a-z0-9_.]{4,30}(?![a-z0-9_.]*@)/i),
+  },
+];
+
+function normalizeForPii(text) {
+  return String(text ?? "").normalize("NFKC").toLowerCase();
+}
+
+// enabled(id) → boolean。戻り値: [{ id, label, match }]（見つかった順ではなく登録順）
+function detectPersonalInfo(text, enabled = () => true) {
+  const normalized = normalizeForPii(text);
+  if (!normalized) return [];
+  const hits = [];
+  for (const d of DETECTORS) {
+    if (!enabled(d.id)) continue;
+    const match = d.detect(normalized);
+    if (match) hits.push({ id: d.id, label: d.label, match });
+  }
+  return hits;
+}
+
+module.exports = {
+  EMAIL_REGEX,
+  DETECTORS,
+  detectPersonalInfo,
+};
@@ -36,6 +36,51 @@ if (!clientId) {
   localStorage.setItem("chatClientId", clientId);
 }
 
+// =========================
+// ★ チャット内モデレーターのトークン（「/auth <トークン>」で保存し、入室のたびに送る）
+// =========================
+const LS_MOD_TOKEN_KEY = "lvchat_modToken";
+
+function sendModAuth(quiet) {
+  const token = localStorage.getItem(LS_MOD_TOKEN_KEY);
+  if (token) socket.emit("mod-auth", { token, quiet });
+}
+
+// =========================
+// ★ 合言葉つき・招待のみの部屋
+//   招待リンクの ?invite= はタブ内（sessionStorage）に移してURLから消す
+//   入室できたらサーバーから入室パスが届くので、再接続とログ取得はそれで通す
+// =========================
+const SS_ROOM_PASS_KEY = `lvchat_roomPass:${roomSlug}`;
+const SS_INVITE_KEY = `lvchat_invite:${roomSlug}`;
+let roomPassword = ""; // 入力してもらった合言葉（保存はしない）
+
+(function takeInviteFromUrl() {
+  const params = new URLSearchParams(location.search);
+  const invite = params.get("invite");
+  if (!invite) return;
+  sessionStorage.setItem(SS_INVITE_KEY, invite);
+  params.delete("invite");
+  const rest = params.toString();
+  history.replaceState(null, "", location.pathname + (rest ? `?${rest}` : "") + location.hash);
+})();
+
+// join に付ける { roomPass, invite, roomPassword }（持っているものだけ）
+function roomAccessPayload() {
+  const out = {};
+  const pass = sessionStorage.getItem(SS_ROOM_PASS_KEY);
+  const invite = sessionStorage.getItem(SS_INVITE_KEY);
+  if (pass) out.roomPass = pass;
+  if (invite) out.invite = invite;
+  if (roomPassword) out.roomPassword = roomPassword;
+  return out;
+}
+
+function roomPassHeaders() {
+  const pass = sessionStorage.getItem(SS_ROOM_PASS_KEY);
+  return pass ? { "x-room-pass": pass } : {};
+}
+
 /* ユーザーごとの色決定 ------------------ */
 function hashStringToNumber(str) {
   let hash = 0;
@@ -89,15 +134,21 @@ const openColorChangeBtn = document.getElementById("openColorChangeBtn");
 const msgInput = document.getElementById("msgInput");
 const sendBtn = document.getElementById("sendBtn");
 const chatLog = document.getElementById("chatLog");
+const pinnedNoticesDiv = document.getElementById("pinnedNotices");
 const userListDiv = document.getElementById("userList");
 const typingInfo = document.getElementById("typingInfo");
+const muteInfo = document.getElementById("muteInfo");
 const statusText = document.getElementById("statusText");
 const joinRow = document.getElementById("joinRow");
 const afterJoinControls = document.querySelector(".after-join-controls");
 const inputRow = document.querySelector(".input-row");
 const infoBeforeJoin = document.getElementById("chatInfoBeforeJoin");
 const preLoginNotice = document.getElementById("preLoginNotice");
-const templateButtons = document.querySelectorAll(".template-btn");
+const templateRow = document.querySelector(".template-row");
+const roomTitleDiv = document.getElementById("roomTitle");
+const roomDescriptionDiv = document.getElementById("roomDescription");
+const userListTitle = document.getElementById("userListTitle");
+let templateButtons = []; // ルーム設定の templates から作る
 
 const roll1d6Btn = document.getElementById("roll1d6Btn");
 const roll2d6Btn = document.getElementById("roll2d6Btn");
@@ -204,9 +255,31 @@ function renderSystem(item) {
   chatLog.append(div);
 }
 
+// 運営からのお知らせ（ログに流れる分）
+function renderAnnouncement(item) {
+  const div = document.createElement("div");
+  div.className = "announcement-message";
+  div.textContent = `📢 運営からのお知らせ [${item.time}] ${item.text}`;
+  chatLog.append(div);
+}
+
+// ピン留めのお知らせ（ログの上に固定表示）
+function renderPinnedNotices(list) {
+  pinnedNoticesDiv.innerHTML = "";
+  const items = Array.isArray(list) ? list : [];
+  for (const n of items) {
+    const div = document.createElement("div");
+    div.className = "pinned-notice";
+    div.textContent = `📌 ${n.text}`;
+    pinnedNoticesDiv.append(div);
+  }
+  pinnedNoticesDiv.style.display = items.length > 0 ? "block" : "none";
+}
+
 function renderTopic(item) {
   const wrapper = document.createElement("div");
   wrapper.className = "system-message topic-message";
+  rememberMsgEl(wrapper, item);
 
   const header = document.createElement("div");
   header.className = "topic-header";
@@ -228,6 +301,7 @@ function renderTopic(item) {
 function renderChatLike(item, isSelf = false) {
   const row = document.createElement("div");
   row.className = "message-row " + (isSelf ? "self" : "other");
+  rememberMsgEl(row, item);
 
   const meta = document.createElement("div");
   meta.className = "message-meta";
@@ -242,23 +316,96 @@ function renderChatLike(item, isSelf = false) {
   msgDiv.style.setProperty("--bubble-color", userColor);
   meta.style.color = darkenColor(userColor, 0.35);
 
+  // 他人の発言には通報ボタン
+  if (!isSelf && item.id && item.fromId !== mySocketId) {
+    const reportBtn = document.createElement("button");
+    reportBtn.type = "button";
+    reportBtn.className = "report-btn";
+    reportBtn.textContent = "通報";
+    reportBtn.title = "このメッセージを管理者に通報";
+    reportBtn.addEventListener("click", () => reportMessage(item));
+    meta.appendChild(reportBtn);
+  }
+
   row.appendChild(meta);
   row.appendChild(msgDiv);
   chatLog.append(row);
 }
 
+// 削除時に差し替えられるよう、id・時刻・名前を要素に持たせておく
+function rememberMsgEl(el, item) {
+  if (!item.id) return;
+  el.dataset.msgId = item.id;
+  el.dataset.time = item.time || "";
+  el.dataset.name = item.name || "";
+}
+
+// 削除済みメッセージ（墓標）
+function buildDeletedRow(item, isSelf = false) {
+  const row = document.createElement("div");
+  row.className = "message-row " + (isSelf ? "self" : "other");
+  rememberMsgEl(row, item);
+
+  const meta = document.createElement("div");
+  meta.className = "message-meta";
+  meta.textContent = item.name ? `[${item.time}] ${item.name}` : `[${item.time}]`;
+
+  const msgDiv = document.createElement("div");
+  msgDiv.className = "message message-deleted";
+  msgDiv.textContent = "削除されました";
+
+  row.appendChild(meta);
+  row.appendChild(msgDiv);
+  return row;
+}
+
+// 表示済みの吹き出しを墓標に置き換える（まだ表示していなければ何もしない）
+function markDeleted(id) {
+  const el = chatLog.querySelector(`[data-msg-id="${id}"]`);
+  if (!el || el.querySelector(".message-deleted")) return;
+
+  const { time = "", name = "" } = el.dataset;
+  el.replaceWith(buildDeletedRow({ id, time, name }, el.classList.contains("self")));
+}
+
+function reportMessage(item) {
+  if (!joined) {
+    alert("入室中のみ通報できます。");
+    return;
+  }
+  const reason = prompt(`「${item.name}」さんのメッセージを通報します。\n理由（任意）:`, "");
+  if (reason === null) return;
+  socket.emit("report-message", { id: item.id, reason });
+}
+
 function renderLogItem(item, fromSocket = false) {
   if (item.id) {
     if (seenIds.has(item.id)) return;
     rememberSeen(item.id);
   }
 
+  if (item.type === "message-deleted") {
+    markDeleted(item.targetId);
+    return;
+  }
+
+  // モデレーターの /clear（これより前のログを消す）
+  if (item.type === "log-cleared") {
+    clearChatDom();
+    return;
+  }
+
   if (item.type === "system") {
     renderSystem(item);
+  } else if (item.type === "deleted") {
+    chatLog.append(buildDeletedRow(item));
   } else if (item.type === "topic") {
     renderTopic(item);
+  } else if (item.type === "announcement") {
+    renderAnnouncement(item);
   } else {
-    const isSelf = fromSocket && item.fromId && (item.fromId === mySocketId);
+    // シャドウの本人向け表示は、再接続で socket.id が変わっても自分の発言
+    const isSelf = item.id < 0 || (fromSocket && item.fromId && (item.fromId === mySocketId));
     renderChatLike(item, isSelf);
   }
 
@@ -266,9 +413,35 @@ function renderLogItem(item, fromSocket = false) {
   scrollBottom();
 }
 
+/* シャドウ判定で自分にだけ見えた発言（id が負の数、ログには入らない） ------------------------------
+   ログを取り直しても消えないよう覚えておき、afterId（送ったときの最新の id）の直後に並べ直す */
+const ownShadowEchoes = [];
+const MAX_SHADOW_ECHOES = 50;
+
+function rememberShadowEcho(item) {
+  if (!(item.id < 0) || ownShadowEchoes.some(e => e.id === item.id)) return;
+  ownShadowEchoes.push(item);
+  if (ownShadowEchoes.length > MAX_SHADOW_ECHOES) ownShadowEchoes.shift();
+}
+
+function mergeShadowEchoes(messages) {
+  // ログの範囲より前のものは、ほかのメッセージと同じく流れたものとして捨てる
+  const firstId = messages.length > 0 ? messages[0].id : 0;
+  while (ownShadowEchoes.length > 0 && ownShadowEchoes[0].afterId < firstId - 1) ownShadowEchoes.shift();
+
+  const out = [];
+  let i = 0;
+  for (const m of messages) {
+    while (i < ownShadowEchoes.length && ownShadowEchoes[i].afterId < m.id) out.push(ownShadowEchoes[i++]);
+    out.push(m);
+  }
+  while (i < ownShadowEchoes.length) out.push(ownShadowEchoes[i++]);
+  return out;
+}
+
 /* ログ同期（初回/復帰用） ------------------------------ */
 async function syncFullLog() {
-  const data = await fetchJson(`/api/log?room=${encodeURIComponent(roomSlug)}`);
+  const data = await fetchJson(`/api/log?room=${encodeURIComponent(roomSlug)}`, { headers: roomPassHeaders() });
   const messages = Array.isArray(data.messages) ? data.messages : [];
 
   if (!joined) {
@@ -281,7 +454,7 @@ async function syncFullLog() {
   clearChatDom();
   seenIds.clear();
 
-  for (const m of messages) {
+  for (const m of mergeShadowEchoes(messages)) {
     renderLogItem(m, false);
   }
 }
@@ -300,7 +473,7 @@ async function startPollLoop() {
       }
 
       const url = `/api/poll?room=${encodeURIComponent(roomSlug)}&since=${lastSeenId}`;
-      const data = await fetchJson(url, { signal: pollAbort.signal });
+      const data = await fetchJson(url, { signal: pollAbort.signal, headers: roomPassHeaders() });
 
       const messages = Array.isArray(data.messages) ? data.messages : [];
       for (const m of messages) {
@@ -445,8 +618,10 @@ socket.on("connect", async () => {
       name: sendName,
       color: sendColor,
       clientId,
-      gender: sendGender
+      gender: sendGender,
+      ...roomAccessPayload()
     });
+    sendModAuth(true);
   }
 });
 
@@ -454,15 +629,98 @@ socket.on("disconnect", () => {
   statusText.textContent = joined ? "切断中…（復帰中）" : "未入室";
 });
 
-socket.on("room-full", () => {
-  alert("この部屋は満員です（10人まで）");
+socket.on("room-full", ({ capacity } = {}) => {
+  alert(capacity ? `この部屋は満員です（${capacity}人まで）` : "この部屋は満員です");
+});
+
+// 荒らし対策のロックダウン中
+socket.on("room-locked", ({ remainingMs } = {}) => {
+  if (joined) resetToBeforeJoin();
+  const min = remainingMs ? Math.ceil(remainingMs / 60000) : 0;
+  alert(
+    "荒らし対策のため、この部屋は現在新規入室を制限しています。" +
+    (min > 0 ? `\n約${min}分後にもう一度お試しください。` : "\nしばらくしてからお試しください。")
+  );
+});
+
+// 合言葉・招待リンクが必要（mode: "password" | "invite"）
+socket.on("room-auth-required", ({ mode, error, retryMs } = {}) => {
+  if (joined) resetToBeforeJoin();
+  sessionStorage.removeItem(SS_ROOM_PASS_KEY);
+  if (error === "invalid_invite") sessionStorage.removeItem(SS_INVITE_KEY);
+  roomPassword = "";
+
+  if (error === "locked") {
+    const min = Math.max(1, Math.ceil((retryMs || 0) / 60000));
+    alert(`合言葉を続けて間違えたため、入室を制限しています。\n約${min}分後にもう一度お試しください。`);
+    return;
+  }
+  if (error === "invalid_invite") {
+    alert("招待リンクが無効です（期限切れ・使用回数の上限・取り消しのいずれか）。");
+  }
+  if (mode === "invite") {
+    if (error !== "invalid_invite") alert("この部屋は招待制です。招待リンクから入室してください。");
+    return;
+  }
+
+  const entered = prompt(
+    error === "wrong_password"
+      ? "合言葉が違います。もう一度入力してください。"
+      : "この部屋に入るには合言葉が必要です。"
+  );
+  if (!entered) return;
+  roomPassword = entered;
+  joinBtn.click();
+});
+
+// 入室できた（保護ありの部屋だけ届く）
+socket.on("room-access", ({ pass } = {}) => {
+  if (pass) sessionStorage.setItem(SS_ROOM_PASS_KEY, pass);
+  sessionStorage.removeItem(SS_INVITE_KEY);
+  roomPassword = "";
+});
+
+// 管理者がこの部屋をアーカイブ・削除した
+socket.on("room-closed", () => {
+  if (joined) resetToBeforeJoin();
+  alert("この部屋は閉鎖されました。");
+});
+
+// 入室が集中していて断られた
+socket.on("join-refused", ({ waitMs } = {}) => {
+  if (joined) resetToBeforeJoin();
+  const sec = Math.max(1, Math.ceil((waitMs || 0) / 1000));
+  alert(`入室が集中しています。${sec} 秒ほど待ってからお試しください。`);
 });
 
 /* ====== Socket.io：受信 ====== */
 socket.on("chat-message", (payload) => {
+  if (payload && payload.id < 0) rememberShadowEcho(payload);
   renderLogItem(payload, true);
 });
 
+// 管理者による削除（ロングポーリング側は "message-deleted" 型のログで届く）
+socket.on("message-deleted", ({ id }) => {
+  markDeleted(id);
+});
+
+// ピン留めのお知らせ（入室時と、追加・解除・期限切れのとき届く）
+socket.on("pinned-notices", (list) => {
+  if (!joined) return;
+  renderPinnedNotices(list);
+});
+
+// モデレーターによるログ消去（ロングポーリング側は "log-cleared" 型のログで届く）
+socket.on("log-cleared", ({ id } = {}) => {
+  renderLogItem({ id, type: "log-cleared" }, true);
+});
+
+// チャット内モデレーターの状態（トークンが無効・取り消しなら保存分を消す）
+socket.on("mod-status", ({ active, invalid, revoked } = {}) => {
+  document.body.classList.toggle("chat-mod", !!active);
+  if (invalid || revoked) localStorage.removeItem(LS_MOD_TOKEN_KEY);
+});
+
 socket.on("system-message", (payload) => {
   if (!joined) return;
 
@@ -493,6 +751,65 @@ socket.on("rate-limit", ({ waitMs }) => {
   }, 2000);
 });
 
+/* ミュート ------------------------------ */
+let muteUntil = 0;
+let muteReason = "";
+let muteTimer = null;
+
+function setChatControlsDisabled(disabled) {
+  msgInput.disabled = disabled;
+  sendBtn.disabled = disabled;
+  templateButtons.forEach(btn => btn.disabled = disabled);
+  if (roll1d6Btn) roll1d6Btn.disabled = disabled;
+  if (roll2d6Btn) roll2d6Btn.disabled = disabled;
+  if (topicRouletteBtn) topicRouletteBtn.disabled = disabled;
+}
+
+function updateMuteInfo() {
+  const remaining = muteUntil - Date.now();
+  if (remaining <= 0) {
+    clearMute();
+    return;
+  }
+  const sec = Math.ceil(remaining / 1000);
+  const min = Math.floor(sec / 60);
+  const left = min > 0 ? `${min}分${sec % 60}秒` : `${sec}秒`;
+  muteInfo.textContent = `ミュート中です（あと ${left}）` + (muteReason ? ` 理由：${muteReason}` : "");
+}
+
+function applyMute({ muted, remainingMs, reason } = {}) {
+  if (!muted) {
+    clearMute();
+    return;
+  }
+  muteUntil = Date.now() + (remainingMs || 0);
+  muteReason = reason || "";
+
+  setChatControlsDisabled(true);
+  msgInput.placeholder = "ミュート中は発言できません";
+  muteInfo.style.display = "block";
+  updateMuteInfo();
+  if (!muteTimer) muteTimer = setInterval(updateMuteInfo, 1000);
+}
+
+function clearMute() {
+  const wasMuted = muteUntil > 0;
+  muteUntil = 0;
+  muteReason = "";
+  if (muteTimer) clearInterval(muteTimer);
+  muteTimer = null;
+
+  muteInfo.style.display = "none";
+  muteInfo.textContent = "";
+  msgInput.placeholder = "メッセージを入力";
+  if (wasMuted && joined) setChatControlsDisabled(false);
+}
+
+socket.on("mute-status", (payload) => {
+  if (!joined) return;
+  applyMute(payload);
+});
+
 socket.on("user-list", (names) => {
   if (!Array.isArray(names) || names.length === 0) {
     userListDiv.textContent = "誰もいません";
@@ -525,10 +842,21 @@ socket.on("typing-users", (names) => {
   typingInfo.textContent = text;
 });
 
-socket.on("force-leave", () => {
+socket.on("idle-warning", ({ remainingMs } = {}) => {
   if (!joined) return;
+  const sec = Math.max(1, Math.ceil((remainingMs || 0) / 1000));
+  renderSystem({
+    time: new Date().toLocaleTimeString("ja-JP", { hour: "2-digit", minute: "2-digit" }),
+    text: `操作がないため、あと約 ${sec} 秒で自動退室します。`
+  });
+  trimChatDom();
+  scrollBottom();
+});
 
+// 入室前の表示に戻す（退室・自動退室・入室拒否 共通）
+function resetToBeforeJoin() {
   joined = false;
+  clearMute();
   document.body.classList.remove("joined");
 
   shouldAutoJoin = false;
@@ -561,6 +889,7 @@ socket.on("force-leave", () => {
   if (preLoginNotice) preLoginNotice.style.display = "block";
   chatLog.style.display = "none";
   chatLog.innerHTML = "";
+  renderPinnedNotices([]);
 
   typingInfo.textContent = "";
   statusText.textContent = "未入室";
@@ -571,8 +900,15 @@ socket.on("force-leave", () => {
     footer.insertBefore(colorRow, inputRow);
     colorRow.style.display = "flex";
   }
+}
+
+socket.on("force-leave", ({ idleMs } = {}) => {
+  if (!joined) return;
+
+  resetToBeforeJoin();
 
-  alert("10分間操作がなかったため、自動的に退室しました。");
+  const idleMin = Math.round((idleMs || 10 * 60 * 1000) / 60000);
+  alert(`${idleMin}分間操作がなかったため、自動的に退室しました。`);
 });
 
 /* ====== 入室・退室・入力 ====== */
@@ -592,7 +928,8 @@ joinBtn.addEventListener("click", async () => {
   const color = currentColor;
 
   // ✅ joinだけ roomSlug を送る
-  socket.emit("join", { roomSlug, name, color, clientId, gender });
+  socket.emit("join", { roomSlug, name, color, clientId, gender, ...roomAccessPayload() });
+  sendModAuth(true);
 
   shouldAutoJoin = true;
   if (name) lastKnownName = name;
@@ -658,49 +995,7 @@ leaveBtn.addEventListener("click", () => {
   // ✅ 引数なし
   socket.emit("leave");
 
-  inputRow.style.display = "none";
-
-  joined = false;
-  document.body.classList.remove("joined");
-
-  shouldAutoJoin = false;
-  lastKnownName = "";
-  lastKnownGender = "";
-  lastKnownColor = null;
-
-  joinRow.style.display = "flex";
-  joinBtn.disabled = false;
-  joinBtn.style.display = "inline-block";
-
-  renameBtn.disabled = true;
-  leaveBtn.disabled = true;
-  openColorChangeBtn.disabled = true;
-  afterJoinControls.style.display = "none";
-
-  msgInput.disabled = true;
-  sendBtn.disabled = true;
-
-  if (roll1d6Btn) roll1d6Btn.disabled = true;
-  if (roll2d6Btn) roll2d6Btn.disabled = true; // ✅ バグ修正
-  if (topicRouletteBtn) topicRouletteBtn.disabled = true;
-
-  document.querySelector(".template-row").style.display = "none";
-  templateButtons.forEach(btn => btn.disabled = true);
-
-  if (infoBeforeJoin) infoBeforeJoin.style.display = "block";
-  if (preLoginNotice) preLoginNotice.style.display = "block";
-  chatLog.style.display = "none";
-
-  chatLog.innerHTML = "";
-  typingInfo.textContent = "";
-  statusText.textContent = "未入室";
-
-  pendingColor = null;
-  colorChangeArea.style.display = "none";
-  if (footer && colorRow && inputRow) {
-    footer.insertBefore(colorRow, inputRow);
-    colorRow.style.display = "flex";
-  }
+  resetToBeforeJoin();
 });
 
 /* 色変更UI（入室後） */
@@ -738,6 +1033,15 @@ sendBtn.addEventListener("click", () => {
   const text = msgInput.value.trim();
   if (!text) return;
 
+  // モデレーターのトークンは発言として送らず、保存して認証だけする
+  const auth = text.match(/^\/auth\s+(\S+)$/i);
+  if (auth) {
+    localStorage.setItem(LS_MOD_TOKEN_KEY, auth[1]);
+    socket.emit("mod-auth", { token: auth[1] });
+    msgInput.value = "";
+    return;
+  }
+
   // ✅ roomSlug不要
   socket.emit("send-message", { text });
 
@@ -758,13 +1062,49 @@ msgInput.addEventListener("keyup", () => {
   typingTimeout = setTimeout(() => setTyping(false), 1500);
 });
 
-/* 定型文 */
-templateButtons.forEach(btn => {
-  btn.addEventListener("click", () => {
-    const text = btn.dataset.text;
-    socket.emit("send-message", { text }); // ✅ roomSlug不要
+/* ルーム設定（タイトル・説明・定員・定型文・使える機能） ------------------------------ */
+// 定型文ボタンはダイス・ガチャの前に並べる
+function renderTemplateButtons(templates) {
+  templateButtons.forEach(btn => btn.remove());
+  const before = templateRow.firstChild;
+  templateButtons = (templates || []).map(t => {
+    const btn = document.createElement("button");
+    btn.className = "template-btn";
+    btn.textContent = t.label;
+    btn.dataset.text = t.text;
+    btn.disabled = !joined || muteUntil > 0;
+    btn.addEventListener("click", () => {
+      socket.emit("send-message", { text: btn.dataset.text }); // ✅ roomSlug不要
+    });
+    templateRow.insertBefore(btn, before);
+    return btn;
   });
-});
+}
+
+function applyRoomConfig(cfg) {
+  if (!cfg) return;
+  roomTitleDiv.textContent = cfg.title;
+  document.title = cfg.title;
+
+  roomDescriptionDiv.textContent = cfg.description || "";
+  roomDescriptionDiv.style.display = cfg.description ? "block" : "none";
+
+  if (userListTitle) userListTitle.textContent = `オンライン（最大${cfg.capacity}人）`;
+
+  renderTemplateButtons(cfg.templates);
+
+  const features = cfg.features || {};
+  if (roll1d6Btn) roll1d6Btn.style.display = features.roll1d6 === false ? "none" : "";
+  if (roll2d6Btn) roll2d6Btn.style.display = features.roll2d6 === false ? "none" : "";
+  if (topicRouletteBtn) topicRouletteBtn.style.display = features.topic === false ? "none" : "";
+}
+
+// 管理者が設定を変えたとき
+socket.on("room-config", applyRoomConfig);
+
+fetchJson(`/api/room-config?room=${encodeURIComponent(roomSlug)}`)
+  .then(applyRoomConfig)
+  .catch(() => { /* 取れなければ HTML の初期表示のまま */ });
 
 /* ダイス */
 if (roll1d6Btn) {
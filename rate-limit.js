@@ -0,0 +1,189 @@
+// rate-limit.js（連投・荒らし対策：トークンバケット / 同一・類似メッセージ検出 / 違反回数 / 急増の検出）
+// - どれも key（"room::clientId" や clientId）ごとの状態を Map で持つ
+// - 使われなくなった key は evict(now) で捨てる（定期的に呼ぶこと）
+
+// ===========================
+// トークンバケット
+// ===========================
+// burst 個まで貯まり、refillMs ごとに1個回復する。1操作で cost 個消費
+function createTokenBuckets() {
+  const buckets = new Map(); // key -> { tokens, at, fullAt }
+
+  // 戻り値: 0 = 許可 / それ以外 = あと何ms待てば足りるか
+  function take(key, { burst, refillMs, cost = 1, now = Date.now() }) {
+    if (!(refillMs > 0) || !(burst > 0)) return 0;
+    const need = Math.min(cost, burst);
+
+    let b = buckets.get(key);
+    if (!b) {
+      b = { tokens: burst, at: now, fullAt: now };
+      buckets.set(key, b);
+    } else {
+      b.tokens = Math.min(burst, b.tokens + (now - b.at) / refillMs);
+      b.at = now;
+    }
+
+    if (b.tokens < need) return Math.ceil((need - b.tokens) * refillMs);
+
+    b.tokens -= need;
+    b.fullAt = now + (burst - b.tokens) * refillMs;
+    return 0;
+  }
+
+  // 満タンまで回復したバケットは、初回と同じ状態なので捨ててよい
+  function evict(now = Date.now()) {
+    for (const [key, b] of buckets) {
+      if (now >= b.fullAt) buckets.delete(key);
+    }
+  }
+
+  return {
+    take,
+    evict,
+    get size() {
+      return buckets.size;
+    },
+  };
+}
+
+// ===========================
+// 同一・類似メッセージ検出
+// ===========================
+// 編集距離ベースの類似度（0〜1）。長文は先頭 maxLen 文字で比較する
+function similarity(a, b, maxLen = 200) {
+  const s = a.slice(0, maxLen);
+  const t = b.slice(0, maxLen);
+  if (s === t) return 1;
+  if (!s.length || !t.length) return 0;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= t.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return 1 - prev[t.length] / Math.max(s.length, t.length);
+}
+
+// normalize: 比較前の正規化（全角半角・区切り文字の除去など）
+function createDuplicateTracker({ normalize = (t) => t, threshold = 0.85, maxHistory = 20 } = {}) {
+  const history = new Map(); // key -> [{ text, expiresAt }]
+
+  // windowMs 以内に似たメッセージがすでに maxRepeats 件あれば duplicate
+  // 拒否したメッセージは履歴に積まない
+  function check(key, text, { windowMs, maxRepeats, now = Date.now() }) {
+    if (!(windowMs > 0) || !(maxRepeats > 0)) return { duplicate: false, count: 0 };
+
+    const norm = normalize(String(text ?? ""));
+    const list = (history.get(key) || []).filter((h) => h.expiresAt > now);
+    const count = list.filter((h) => similarity(h.text, norm) >= threshold).length;
+
+    if (count >= maxRepeats) {
+      history.set(key, list);
+      return { duplicate: true, count };
+    }
+
+    list.push({ text: norm, expiresAt: now + windowMs });
+    if (list.length > maxHistory) list.shift();
+    history.set(key, list);
+    return { duplicate: false, count };
+  }
+
+  function evict(now = Date.now()) {
+    for (const [key, list] of history) {
+      if (!list.some((h) => h.expiresAt > now)) history.delete(key);
+    }
+  }
+
+  return {
+    check,
+    evict,
+    get size() {
+      return history.size;
+    },
+  };
+}
+
+// ===========================
+// 違反回数（一定時間で消える）
+// ===========================
+// debounceMs 以内の連続した違反は1回として数える（ボタン連打で一気に罰が重くならないように）
+function createStrikeCounter({ debounceMs = 1000 } = {}) {
+  const strikes = new Map(); // key -> [{ at, expiresAt }]
+
+  // 戻り値: 加算後の回数（debounce で数えなかった場合は null）
+  function add(key, { windowMs, now = Date.now() }) {
+    const list = (strikes.get(key) || []).filter((s) => s.expiresAt > now);
+    const last = list[list.length - 1];
+    if (last && now - last.at < debounceMs) {
+      strikes.set(key, list);
+      return null;
+    }
+    list.push({ at: now, expiresAt: now + windowMs });
+    strikes.set(key, list);
+    return list.length;
+  }
+
+  function reset(key) {
+    strikes.delete(key);
+  }
+
+  function evict(now = Date.now()) {
+    for (const [key, list] of strikes) {
+      if (!list.some((s) => s.expiresAt > now)) strikes.delete(key);
+    }
+  }
+
+  return {
+    add,
+    reset,
+    evict,
+    get size() {
+      return strikes.size;
+    },
+  };
+}
+
+// ===========================
+// 直近の出来事の件数（急増の検出用）
+// ===========================
+function createEventWindow() {
+  const events = new Map(); // key -> [{ at, tag }]
+
+  // 記録して、windowMs 以内の件数と tag の種類数を返す
+  function record(key, { windowMs, tag = null, now = Date.now() }) {
+    const list = (events.get(key) || []).filter((e) => now - e.at < windowMs);
+    list.push({ at: now, tag });
+    events.set(key, list);
+    return { count: list.length, distinct: new Set(list.map((e) => e.tag)).size };
+  }
+
+  function reset(key) {
+    events.delete(key);
+  }
+
+  function evict(windowMs, now = Date.now()) {
+    for (const [key, list] of events) {
+      if (!list.some((e) => now - e.at < windowMs)) events.delete(key);
+    }
+  }
+
+  return {
+    record,
+    reset,
+    evict,
+    get size() {
+      return events.size;
+    },
+  };
+}
+
+module.exports = {
+  createTokenBuckets,
+  createDuplicateTracker,
+  createStrikeCounter,
+  createEventWindow,
+  similarity,
+};
@@ -0,0 +1,201 @@
+// regex-guard.js（管理者が登録した正規表現を worker_threads で時間制限付きで評価する）
+// - メインスレッドでは一切 RegExp を実行しない（重い正規表現で全ルームが止まるのを防ぐ）
+// - 1パターンあたり timeoutMs を超えたら worker を作り直し、そのパターンを onTimeout で通知する
+// - worker は全ルームで1つなので、1件の判定（待ち時間を含む）が budgetMs を超えたら一致なしとして先に返す
+//   （どのルームの正規表現が重くても、発言が届くまでの時間は budgetMs 以内に収まる）
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+// ===========================
+// worker 側
+// ===========================
+function collectRanges(re, str) {
+  const ranges = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(str)) !== null && ranges.length < 100) {
+    if (m[0].length === 0) {
+      re.lastIndex++;
+      continue;
+    }
+    ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+function runWorker() {
+  // progress[0] = 実行中のパターンid（-1 = 待機中）, progress[1] = パターンごとに増えるカウンタ
+  const progress = new Int32Array(workerData.progress);
+  let compiled = new Map();
+
+  parentPort.on("message", (msg) => {
+    if (msg.type === "patterns") {
+      compiled = new Map();
+      for (const p of msg.patterns) {
+        try {
+          compiled.set(p.id, new RegExp(p.source, "gi"));
+        } catch (_) {}
+      }
+      return;
+    }
+
+    if (msg.type === "test") {
+      const results = [];
+      for (const id of msg.ids) {
+        const re = compiled.get(id);
+        if (!re) continue;
+        Atomics.store(progress, 0, id);
+        Atomics.add(progress, 1, 1);
+        const ranges = msg.texts.map((t) => collectRanges(re, t));
+        if (ranges.some((r) => r.length > 0)) results.push({ id, ranges });
+      }
+      Atomics.store(progress, 0, -1);
+      parentPort.postMessage({ type: "result", jobId: msg.jobId, results });
+    }
+  });
+}
+
+if (!isMainThread && workerData && workerData.regexGuard) runWorker();
+
+// ===========================
+// メインスレッド側
+// ===========================
+// patterns: [{ source, ...任意のメタ情報 }]
+// test(texts, filter) → Promise<[{ pattern, ranges: texts と同じ順の [[start,end], ...] }]>
+// onBudgetExceeded(texts) は budgetMs を超えて判定を諦めたときに呼ぶ
+function createRegexGuard({ timeoutMs = 100, budgetMs = timeoutMs * 2, onTimeout = () => {}, onBudgetExceeded = () => {} } = {}) {
+  let patterns = [];
+  let worker = null;
+  let progress = null;
+  let nextJobId = 1;
+  const queue = [];
+  let current = null; // { job, timer, lastSeq }
+
+  function spawn() {
+    progress = new Int32Array(new SharedArrayBuffer(8));
+    progress[0] = -1;
+    const w = new Worker(__filename, { workerData: { regexGuard: true, progress: progress.buffer } });
+    w.on("message", onResult);
+    w.on("error", (err) => console.error("regex worker error:", err));
+    w.on("exit", () => {
+      // terminate() 以外で落ちた場合は作り直して、実行中のジョブをやり直す
+      if (worker === w) restart();
+    });
+    w.unref(); // "message" のリスナーを付けると ref されるので、その後で外す
+    worker = w;
+    postPatterns();
+  }
+
+  function postPatterns() {
+    worker.postMessage({
+      type: "patterns",
+      patterns: patterns.filter((p) => !p.disabled).map((p) => ({ id: p.id, source: p.source })),
+    });
+  }
+
+  function restart() {
+    const w = worker;
+    worker = null;
+    if (w) w.terminate().catch(() => {});
+    spawn();
+    if (current) {
+      clearInterval(current.timer);
+      const { job } = current;
+      current = null;
+      job.retries++;
+      if (job.done) {
+        // 制限時間切れで返し済み
+      } else if (job.retries > patterns.length + 1) {
+        finish(job, []);
+      } else {
+        queue.unshift(job);
+      }
+    }
+    pump();
+  }
+
+  function onResult(msg) {
+    if (msg.type !== "result" || !current || msg.jobId !== current.job.jobId) return;
+    clearInterval(current.timer);
+    const { job } = current;
+    current = null;
+    finish(
+      job,
+      msg.results
+        .map((r) => ({ pattern: job.patterns[r.id], ranges: r.ranges }))
+        .filter((r) => r.pattern)
+    );
+    pump();
+  }
+
+  // 同じパターンが timeoutMs 以上進まなければ、そのパターンを止めて無効化する
+  function watchdog() {
+    if (!current) return;
+    const id = Atomics.load(progress, 0);
+    const seq = Atomics.load(progress, 1);
+    if (id === -1 || seq !== current.lastSeq) {
+      current.lastSeq = seq;
+      return;
+    }
+    const p = current.job.patterns[id];
+    if (p) {
+      p.disabled = true;
+      try {
+        onTimeout(p);
+      } catch (e) {
+        console.error("regex guard onTimeout error:", e);
+      }
+    }
+    restart();
+  }
+
+  function finish(job, results) {
+    if (job.done) return;
+    job.done = true;
+    clearTimeout(job.budgetTimer);
+    job.resolve(results);
+  }
+
+  function pump() {
+    while (queue.length > 0 && queue[0].done) queue.shift();
+    if (current || queue.length === 0 || !worker) return;
+    const job = queue.shift();
+    // setPatterns で入れ替わっていても、送信時点のパターン一覧で id を決める
+    job.patterns = patterns;
+    const ids = patterns.filter((p) => !p.disabled && job.filter(p)).map((p) => p.id);
+    if (ids.length === 0) {
+      finish(job, []);
+      pump();
+      return;
+    }
+    current = { job, lastSeq: -1, timer: setInterval(watchdog, timeoutMs) };
+    worker.postMessage({ type: "test", jobId: job.jobId, ids, texts: job.texts });
+  }
+
+  function setPatterns(list) {
+    patterns = (list || []).map((p, id) => ({ ...p, id, disabled: false }));
+    if (worker) postPatterns();
+  }
+
+  function test(texts, filter = () => true) {
+    if (!patterns.some((p) => !p.disabled && filter(p))) return Promise.resolve([]);
+    return new Promise((resolve) => {
+      const job = { jobId: nextJobId++, filter, texts: texts.map(String), resolve, retries: 0, done: false };
+      job.budgetTimer = setTimeout(() => {
+        if (job.done) return;
+        finish(job, []);
+        try {
+          onBudgetExceeded(job.texts);
+        } catch (e) {
+          console.error("regex guard onBudgetExceeded error:", e);
+        }
+      }, budgetMs);
+      queue.push(job);
+      pump();
+    });
+  }
+
+  spawn();
+  return { setPatterns, test };
+}
+
+module.exports = { createRegexGuard };
@@ -24,8 +24,8 @@ const io = new Server(http, {
   },
 });
 
-// public フォルダを静的配信
-app.use(express.static("public"));
+// public フォルダを静的配信（/ はロビーを返すので index.html は自動では出さない）
+app.use(express.static("public", { index: false }));
 // JSONボディを受け取るため
 app.use(express.json());
 
@@ -44,14 +44,13 @@ app.use((req, res, next) => {
 });
 
 // ===========================
-// ★ ルーム許可リスト（存在バレ防止）
+// ★ ルーム一覧（rooms.json / 存在バレ防止）
 // ===========================
-const ALLOWED_ROOMS = new Set(
-  String(process.env.ROOM_SLUGS || "main")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean)
-);
+// { items: [{ slug, archived, hidden, createdAt, archivedAt }] }。管理画面（owner）から作成・アーカイブ・削除する。
+// hidden のルームはロビーに出さない（URLを知っている人だけ入れる）。
+// rooms.json が無いときだけ .env の ROOM_SLUGS から作る。アーカイブ中のルームは参加者からは存在しない扱い
+const ROOMS_FILE = path.join(__dirname, "rooms.json");
+const DEFAULT_ROOM = "main"; // / のリダイレクト先。アーカイブ・削除はできない
 
 function normalizeRoomSlug(slug) {
   const s = String(slug || "main").trim();
@@ -59,14 +58,142 @@ function normalizeRoomSlug(slug) {
   return safe || "main";
 }
 
+let roomRegistry = readJsonSafe(ROOMS_FILE, null);
+if (!roomRegistry || !Array.isArray(roomRegistry.items)) {
+  const slugs = String(process.env.ROOM_SLUGS || DEFAULT_ROOM)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  roomRegistry = { items: Array.from(new Set(slugs.map(normalizeRoomSlug))).map((slug) => ({ slug, archived: false, createdAt: Date.now() })) };
+}
+if (!roomRegistry.items.some((r) => r.slug === DEFAULT_ROOM)) {
+  roomRegistry.items.unshift({ slug: DEFAULT_ROOM, archived: false, createdAt: Date.now() });
+}
+writeJsonSafe(ROOMS_FILE, roomRegistry);
+
+function saveRoomRegistry() {
+  writeJsonSafe(ROOMS_FILE, roomRegistry);
+  scheduleLobbyUpdate();
+}
+
+function findRoom(slug) {
+  return roomRegistry.items.find((r) => r.slug === slug) || null;
+}
+
+// 参加者が入れるルーム（アーカイブ中を除く）
+function listRoomSlugs() {
+  return roomRegistry.items.filter((r) => !r.archived).map((r) => r.slug);
+}
+
 function isRoomAllowed(slug) {
-  const r = normalizeRoomSlug(slug);
-  return ALLOWED_ROOMS.has(r);
+  const room = findRoom(normalizeRoomSlug(slug));
+  return !!room && !room.archived;
+}
+
+// ルームごとの表示と機能（rooms.json の各項目に書かれていなければ既定値）
+// features: roll1d6（🎲）/ roll2d6（🎲🎲）/ topic（お仕置きガチャ）
+const ROOM_CONFIG_DEFAULTS = {
+  title: "大人の遊び場",
+  description: "",
+  capacity: 10,
+  templates: [
+    { label: "寸止め", text: "逝きそうです…♡" },
+    { label: "絶頂", text: "逝きました…♡" },
+  ],
+  features: { roll1d6: true, roll2d6: true, topic: true },
+};
+const ROOM_FEATURES = Object.keys(ROOM_CONFIG_DEFAULTS.features);
+const ROOM_CONFIG_LIMITS = { titleLen: 40, descriptionLen: 300, capacity: 100, templates: 6, templateLabelLen: 20, templateTextLen: 100 };
+
+function getRoomConfig(slug) {
+  const room = findRoom(normalizeRoomSlug(slug)) || {};
+  return {
+    title: room.title ?? ROOM_CONFIG_DEFAULTS.title,
+    description: room.description ?? ROOM_CONFIG_DEFAULTS.description,
+    capacity: room.capacity ?? ROOM_CONFIG_DEFAULTS.capacity,
+    templates: room.templates ?? ROOM_CONFIG_DEFAULTS.templates,
+    features: { ...ROOM_CONFIG_DEFAULTS.features, ...(room.features || {}) },
+  };
+}
+
+function isRoomFeatureEnabled(slug, feature) {
+  return getRoomConfig(slug).features[feature] !== false;
+}
+
+// 戻り値: { values, errors }（送られた項目だけ。null は既定値に戻す）
+function validateRoomConfig(body) {
+  const src = body && typeof body === "object" ? body : {};
+  const L = ROOM_CONFIG_LIMITS;
+  const values = {};
+  const errors = [];
+
+  for (const [field, max, min] of [["title", L.titleLen, 1], ["description", L.descriptionLen, 0]]) {
+    if (src[field] === undefined) continue;
+    if (src[field] === null) {
+      values[field] = null;
+      continue;
+    }
+    const t = typeof src[field] === "string" ? src[field].trim() : null;
+    if (t === null || t.length < min || t.length > max) {
+      errors.push({ field, message: `${min}〜${max} 文字で指定してください` });
+      continue;
+    }
+    values[field] = t;
+  }
+
+  if (src.capacity !== undefined) {
+    const n = Number(src.capacity);
+    if (src.capacity === null) values.capacity = null;
+    else if (!Number.isInteger(n) || n < 1 || n > L.capacity) errors.push({ field: "capacity", message: `1〜${L.capacity} の整数で指定してください` });
+    else values.capacity = n;
+  }
+
+  if (src.templates !== undefined) {
+    if (src.templates === null) {
+      values.templates = null;
+    } else if (!Array.isArray(src.templates) || src.templates.length > L.templates) {
+      errors.push({ field: "templates", message: `最大 ${L.templates} 件の配列で指定してください` });
+    } else {
+      const list = src.templates.map((t) => ({
+        label: String((t && t.label) ?? "").trim(),
+        text: String((t && t.text) ?? "").trim(),
+      }));
+      const bad = list.findIndex((t) => !t.label || t.label.length > L.templateLabelLen || !t.text || t.text.length > L.templateTextLen);
+      if (bad !== -1) {
+        errors.push({ field: "templates", line: bad + 1, message: `ボタン名は${L.templateLabelLen}文字、本文は${L.templateTextLen}文字までです` });
+      } else {
+        values.templates = list;
+      }
+    }
+  }
+
+  if (src.features !== undefined) {
+    const f = src.features;
+    if (f === null) {
+      values.features = null;
+    } else if (typeof f !== "object" || Array.isArray(f)) {
+      errors.push({ field: "features", message: "オブジェクトで指定してください" });
+    } else {
+      const unknown = Object.keys(f).filter((k) => !ROOM_FEATURES.includes(k));
+      if (unknown.length > 0) errors.push({ field: "features", message: `不明な機能: ${unknown.join(", ")}` });
+      else if (Object.values(f).some((v) => typeof v !== "boolean")) errors.push({ field: "features", message: "true / false で指定してください" });
+      else values.features = { ...f };
+    }
+  }
+
+  return { values, errors };
 }
 
-// / で mainへ
+// GET /api/room-config?room=main（参加者画面の組み立て用。access: "open" | "password" | "invite"）
+app.get("/api/room-config", (req, res) => {
+  const room = normalizeRoomSlug(req.query.room || "main");
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  res.json({ room, ...getRoomConfig(room), access: roomAccessMode(findRoom(room)) });
+});
+
+// / はロビー（公開ルームの一覧）
 app.get("/", (req, res) => {
-  res.redirect("/r/main");
+  res.sendFile(path.join(__dirname, "public", "lobby.html"));
 });
 
 // /r/:slug で部屋を切り分け（存在しないslugは404）
@@ -79,25 +206,317 @@ app.get("/r/:slug", (req, res) => {
 // ===========================
 // 管理用シンプルAPI（ここを先に定義！）
 // ===========================
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-if (!ADMIN_PASSWORD) {
-  console.error("❌ ADMIN_PASSWORD is not set in .env");
+// ★ 管理者ログイン（パスワードはハッシュで照合し、HttpOnly のセッションCookieを発行）
+// アカウントは admins.json に保存（名前・ロール・担当ルーム）。
+// .env の ADMIN_PASSWORD_HASH（`node admin-auth.js hash <パスワード>` で作成）/ ADMIN_PASSWORD があれば、
+// ADMIN_USERNAME（省略時 admin）の名前で全ルーム担当の owner としてログインできる（画面からは変更不可）
+const {
+  hashPassword,
+  hashPasswordAsync,
+  isPasswordHash,
+  verifyPassword,
+  safeEqual,
+  parseCookies,
+  ADMIN_ROLES,
+  hasPermission,
+  isRoomScoped,
+  canAccessRoom,
+  createSessionStore,
+  createLoginGuard,
+} = require("./admin-auth");
+
+const ADMINS_FILE = path.join(__dirname, "admins.json");
+let adminAccounts = readJsonSafe(ADMINS_FILE, { items: [] });
+
+const ENV_ADMIN_HASH = process.env.ADMIN_PASSWORD_HASH
+  ? String(process.env.ADMIN_PASSWORD_HASH).trim()
+  : process.env.ADMIN_PASSWORD
+    ? hashPassword(process.env.ADMIN_PASSWORD)
+    : null;
+if (ENV_ADMIN_HASH && !isPasswordHash(ENV_ADMIN_HASH)) {
+  console.error("❌ ADMIN_PASSWORD_HASH is not a valid hash (use `node admin-auth.js hash <password>`)");
+  process.exit(1);
+}
+const ENV_ADMIN = ENV_ADMIN_HASH
+  ? { id: "env", name: String(process.env.ADMIN_USERNAME || "admin").trim(), passwordHash: ENV_ADMIN_HASH, role: "owner", rooms: [], builtin: true }
+  : null;
+
+function listAdminAccounts() {
+  return [...(ENV_ADMIN ? [ENV_ADMIN] : []), ...(adminAccounts.items || [])];
+}
+function findAdminAccount(pred) {
+  return listAdminAccounts().find(pred) || null;
+}
+
+if (!findAdminAccount((a) => a.role === "owner")) {
+  console.error("❌ No owner account: set ADMIN_PASSWORD_HASH (or ADMIN_PASSWORD) in .env, or add an owner to admins.json");
   process.exit(1);
 }
 
-function requireAdmin(req, res) {
-  const password =
-    req.query.password ||
-    req.headers["x-admin-password"] ||
-    (req.body && req.body.password);
+// 名前が存在しないときも同じだけ時間をかける（アカウント名の推測対策）
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
 
-  if (password !== ADMIN_PASSWORD) {
-    res.status(403).json({ error: "forbidden" });
+const ADMIN_SESSION_COOKIE = "admin_session";
+const ADMIN_SESSION_IDLE_MS = 30 * 60 * 1000; // 30分操作が無ければログアウト
+const ADMIN_SESSION_MAX_MS = 8 * 60 * 60 * 1000; // ログインから最長8時間
+const adminSessions = createSessionStore({ idleMs: ADMIN_SESSION_IDLE_MS, maxAgeMs: ADMIN_SESSION_MAX_MS });
+
+// 同じIPから15分で5回失敗したら15分ロック
+const adminLoginGuard = createLoginGuard({ maxFailures: 5, windowMs: 15 * 60 * 1000, lockMs: 15 * 60 * 1000 });
+
+// 状態を変えるリクエストは、ログイン時に渡した CSRF トークン（x-csrf-token ヘッダ）も必要
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// セッションと、その時点のアカウント（削除・パスワード変更されていたらセッションも無効）
+function getAdminSession(req) {
+  return resolveAdminSession(adminSessions.touch(parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE]));
+}
+
+function resolveAdminSession(session) {
+  if (!session) return null;
+  const account = findAdminAccount((a) => a.id === session.accountId);
+  if (!account || (account.passwordChangedAt || 0) > session.createdAt) {
+    adminSessions.destroy(session.id);
+    return null;
+  }
+  return { session, account };
+}
+
+// perm: "topics" | "moderation" | "owner" | null（ログインしていれば可）
+function requireAdmin(req, res, perm = "moderation") {
+  const auth = getAdminSession(req);
+  if (!auth) {
+    res.status(401).json({ error: "unauthorized" });
+    return null;
+  }
+  if (!CSRF_SAFE_METHODS.has(req.method) && !safeEqual(req.headers["x-csrf-token"], auth.session.csrfToken)) {
+    res.status(403).json({ error: "invalid csrf token" });
+    return null;
+  }
+  if (perm && !hasPermission(auth.account, perm)) {
+    res.status(403).json({ error: "permission denied" });
     return null;
   }
+  req.adminSession = auth.session;
+  req.adminAccount = auth.account;
   return true;
 }
 
+// 担当ルームの確認（requireAdmin の後に使う）
+function requireAdminRoom(req, res, room) {
+  if (canAccessRoom(req.adminAccount, room)) return true;
+  res.status(403).json({ error: "room not allowed" });
+  return null;
+}
+
+// 全ルーム共通の操作（共通設定・BAN/ミュートの直接追加など）は担当ルームの無いアカウントだけ
+function requireAdminGlobal(req, res) {
+  if (!isRoomScoped(req.adminAccount)) return true;
+  res.status(403).json({ error: "room-scoped account" });
+  return null;
+}
+
+function adminCanSeeRoom(req, room) {
+  return canAccessRoom(req.adminAccount, room);
+}
+
+function setAdminSessionCookie(req, res, session) {
+  res.cookie(ADMIN_SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/",
+    maxAge: ADMIN_SESSION_MAX_MS,
+  });
+}
+
+function publicAdminAccount(a) {
+  return { id: a.id, name: a.name, role: a.role, rooms: a.rooms || [], builtin: !!a.builtin, createdAt: a.createdAt || null };
+}
+
+// 照合中の IP（照合は非同期なので、同じ IP から並べて投げてロックアウトをすり抜けられないようにする）
+const adminLoginInFlight = new Set();
+
+// POST /api/admin/login { name, password }
+app.post("/api/admin/login", async (req, res) => {
+  const ip = getRequestIp(req);
+  const lockedMs = adminLoginGuard.lockedFor(ip);
+  if (lockedMs > 0) return res.status(429).json({ error: "too many failures", retryAfterMs: lockedMs });
+  if (adminLoginInFlight.has(ip)) return res.status(429).json({ error: "login in progress" });
+
+  const name = String((req.body && req.body.name) || (ENV_ADMIN && ENV_ADMIN.name) || "").trim();
+  const password = String((req.body && req.body.password) || "");
+  const account = findAdminAccount((a) => a.name === name);
+  let ok;
+  adminLoginInFlight.add(ip);
+  try {
+    ok = await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+  } finally {
+    adminLoginInFlight.delete(ip);
+  }
+  if (!account || !password || !ok) {
+    const r = adminLoginGuard.fail(ip);
+    auditLog.append({ kind: "admin", rule: "admin_login_failed", room: null, admin: null, ip, detail: { name: name.slice(0, 32), locked: r.lockedMs > 0 } });
+    if (r.lockedMs > 0) return res.status(429).json({ error: "too many failures", retryAfterMs: r.lockedMs });
+    return res.status(401).json({ error: "invalid name or password" });
+  }
+
+  adminLoginGuard.succeed(ip);
+  const session = adminSessions.create({ ip, accountId: account.id });
+  setAdminSessionCookie(req, res, session);
+  req.adminSession = session;
+  req.adminAccount = account;
+  auditAdmin(req, "admin_login");
+  res.json({ ok: true, csrfToken: session.csrfToken, expiresAt: session.expiresAt, account: publicAdminAccount(account) });
+});
+
+// POST /api/admin/logout
+app.post("/api/admin/logout", (req, res) => {
+  if (!requireAdmin(req, res, null)) return;
+  adminSessions.destroy(req.adminSession.id);
+  sweepMonitorSockets();
+  res.clearCookie(ADMIN_SESSION_COOKIE, { httpOnly: true, sameSite: "strict", secure: req.secure, path: "/" });
+  auditAdmin(req, "admin_logout");
+  res.json({ ok: true });
+});
+
+// GET /api/admin/session（ページを開き直したとき用：ログイン中なら CSRF トークンとアカウントを返す）
+app.get("/api/admin/session", (req, res) => {
+  if (!requireAdmin(req, res, null)) return;
+  res.json({
+    ok: true,
+    csrfToken: req.adminSession.csrfToken,
+    expiresAt: req.adminSession.expiresAt,
+    account: publicAdminAccount(req.adminAccount),
+  });
+});
+
+// ===========================
+// ★ 管理者アカウント（owner のみ）
+// ===========================
+const ADMIN_NAME_RE = /^[A-Za-z0-9_.-]{2,32}$/;
+const MIN_ADMIN_PASSWORD_LEN = 8;
+
+function saveAdminAccounts() {
+  writeJsonSafe(ADMINS_FILE, adminAccounts);
+}
+
+// rooms: 配列（空 = 全ルーム）。存在しないルームは null
+function parseAdminRooms(rooms) {
+  if (rooms === undefined || rooms === null) return [];
+  if (!Array.isArray(rooms)) return null;
+  const out = Array.from(new Set(rooms.map((r) => normalizeRoomSlug(r))));
+  return out.every((r) => isRoomAllowed(r)) ? out : null;
+}
+
+function countOwners(items) {
+  return items.filter((a) => a.role === "owner").length + (ENV_ADMIN ? 1 : 0);
+}
+
+// GET /api/admin/accounts
+app.get("/api/admin/accounts", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+  res.json({ items: listAdminAccounts().map(publicAdminAccount), roles: ADMIN_ROLES });
+});
+
+// POST /api/admin/accounts { name, password, role, rooms }
+app.post("/api/admin/accounts", async (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const { name, password, role, rooms } = req.body || {};
+  const n = String(name ?? "").trim();
+  if (!ADMIN_NAME_RE.test(n)) return res.status(400).json({ error: "invalid name" });
+  if (findAdminAccount((a) => a.name === n)) return res.status(409).json({ error: "name already exists" });
+  if (String(password ?? "").length < MIN_ADMIN_PASSWORD_LEN) return res.status(400).json({ error: "password too short" });
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: "invalid role" });
+  const rs = parseAdminRooms(rooms);
+  if (!rs) return res.status(400).json({ error: "invalid rooms" });
+
+  const passwordHash = await hashPasswordAsync(password);
+  // ハッシュの計算中に同じ名前が作られていないか
+  if (findAdminAccount((a) => a.name === n)) return res.status(409).json({ error: "name already exists" });
+
+  const account = { id: uid(), name: n, passwordHash, role, rooms: rs, createdAt: Date.now() };
+  adminAccounts.items = [...(adminAccounts.items || []), account];
+  saveAdminAccounts();
+  auditAdmin(req, "account_create", { accountId: account.id, name: n, role, rooms: rs });
+  res.status(201).json(publicAdminAccount(account));
+});
+
+// PUT /api/admin/accounts/:id { role, rooms, password }（送った項目だけ変更）
+app.put("/api/admin/accounts/:id", async (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  if (!(adminAccounts.items || []).some((a) => a.id === req.params.id)) {
+    return res.status(404).json({ error: "account not found" });
+  }
+
+  const { role, rooms, password } = req.body || {};
+  let passwordHash = null;
+  if (password !== undefined) {
+    if (String(password).length < MIN_ADMIN_PASSWORD_LEN) return res.status(400).json({ error: "password too short" });
+    passwordHash = await hashPasswordAsync(password);
+  }
+
+  // ハッシュの計算中に変更・削除されているかもしれないので、ここで取り直す
+  const items = adminAccounts.items || [];
+  const account = items.find((a) => a.id === req.params.id);
+  if (!account) return res.status(404).json({ error: "account not found" });
+
+  const next = { ...account };
+  if (role !== undefined) {
+    if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: "invalid role" });
+    next.role = role;
+  }
+  if (rooms !== undefined) {
+    const rs = parseAdminRooms(rooms);
+    if (!rs) return res.status(400).json({ error: "invalid rooms" });
+    next.rooms = rs;
+  }
+  if (passwordHash) {
+    next.passwordHash = passwordHash;
+    next.passwordChangedAt = Date.now(); // それまでのセッションは無効
+  }
+  const nextItems = items.map((a) => (a === account ? next : a));
+  if (countOwners(nextItems) === 0) return res.status(400).json({ error: "at least one owner is required" });
+
+  adminAccounts.items = nextItems;
+  saveAdminAccounts();
+  sweepMonitorSockets();
+  auditAdmin(req, "account_update", {
+    accountId: next.id,
+    name: next.name,
+    role: next.role,
+    rooms: next.rooms,
+    passwordChanged: password !== undefined,
+  });
+  res.json(publicAdminAccount(next));
+});
+
+// DELETE /api/admin/accounts/:id（そのアカウントのセッションは次のリクエストで無効になる）
+app.delete("/api/admin/accounts/:id", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const items = adminAccounts.items || [];
+  const account = items.find((a) => a.id === req.params.id);
+  if (!account) return res.status(404).json({ error: "account not found" });
+  if (account.id === req.adminAccount.id) return res.status(400).json({ error: "cannot delete yourself" });
+
+  const nextItems = items.filter((a) => a !== account);
+  if (countOwners(nextItems) === 0) return res.status(400).json({ error: "at least one owner is required" });
+
+  adminAccounts.items = nextItems;
+  saveAdminAccounts();
+  sweepMonitorSockets();
+  auditAdmin(req, "account_delete", { accountId: account.id, name: account.name });
+  res.json({ ok: true });
+});
+
+setInterval(() => {
+  adminSessions.evict();
+  adminLoginGuard.evict();
+}, 60 * 1000);
+
 // ===========================
 // ★ お題ガチャ（部屋別）
 // ===========================
@@ -108,26 +527,395 @@ const {
   addTopic,
   updateTopic,
   deleteTopic,
+  TOPICS_FILE, // ★ 設定ファイルの再読み込み
+  reloadTopics,
 } = require("./topics");
 
 const TOPIC_COOLDOWN_MS = 5000;
 
 // ===========================
-// ★ 管理者：許可ルーム一覧
-// GET /api/admin/rooms?password=...
+// ★ 管理者：ルーム一覧・作成・アーカイブ・削除（作成などは owner のみ）
 // ===========================
+const ROOM_SLUG_RE = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// 合言葉のハッシュは返さない
+function publicRoom(room) {
+  const { passwordHash, ...rest } = room;
+  return { ...rest, access: roomAccessMode(room) };
+}
+
+// GET /api/admin/rooms → { rooms: 入れるルームの slug, items: アーカイブ中も含む詳細（config は既定値を重ねたもの） }
 app.get("/api/admin/rooms", (req, res) => {
+  if (!requireAdmin(req, res, null)) return;
+  const items = roomRegistry.items
+    .filter((r) => adminCanSeeRoom(req, r.slug))
+    .map((r) => ({
+      ...publicRoom(r),
+      config: getRoomConfig(r.slug),
+      online: roomStates.has(r.slug) ? Object.keys(roomStates.get(r.slug).users).length : 0,
+    }));
+  res.json({ rooms: items.filter((r) => !r.archived).map((r) => r.slug), items });
+});
+
+// 入室中のソケットを退出させ、待機中のロングポーリングも終わらせて、部屋の状態を捨てる
+function evictRoom(room, noticeText) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.roomSlug !== room) continue;
+    socket.emit("room-closed", { room });
+    socket.emit("system-message", { time: getTimeString(), text: noticeText });
+    socket.disconnect(true);
+  }
+
+  const st = roomStates.get(room);
+  if (st) {
+    for (const waiter of st.pollWaiters) {
+      clearTimeout(waiter.timer);
+      try {
+        waiter.res.status(404).json({ error: "room not found" });
+      } catch (_) {}
+    }
+    st.pollWaiters.clear();
+    roomStates.delete(room);
+  }
+  roomLocks.delete(room);
+  raidEvents.reset(`join::${room}`);
+  raidEvents.reset(`blocked::${room}`);
+  sweepMonitorSockets();
+}
+
+// POST /api/admin/rooms { slug }
+app.post("/api/admin/rooms", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const slug = String((req.body && req.body.slug) ?? "").trim();
+  if (!ROOM_SLUG_RE.test(slug)) return res.status(400).json({ error: "invalid slug" });
+  if (findRoom(slug)) return res.status(409).json({ error: "room already exists" });
+
+  const room = { slug, archived: false, createdAt: Date.now() };
+  roomRegistry.items.push(room);
+  saveRoomRegistry();
+  auditAdmin(req, "room_create", { room: slug });
+  res.status(201).json(publicRoom(room));
+});
+
+// PUT /api/admin/rooms/:slug { archived, hidden }（送った項目だけ。アーカイブすると入室中の人は退出になる。ログは消える）
+app.put("/api/admin/rooms/:slug", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const room = findRoom(req.params.slug);
+  if (!room) return res.status(404).json({ error: "room not found" });
+
+  const { archived, hidden } = req.body || {};
+  if (archived === undefined && hidden === undefined) return res.status(400).json({ error: "archived or hidden is required" });
+  if (archived !== undefined && typeof archived !== "boolean") return res.status(400).json({ error: "archived must be boolean" });
+  if (hidden !== undefined && typeof hidden !== "boolean") return res.status(400).json({ error: "hidden must be boolean" });
+  if (archived && room.slug === DEFAULT_ROOM) return res.status(400).json({ error: "cannot archive default room" });
+
+  const changeArchived = archived !== undefined && archived !== !!room.archived;
+  const changeHidden = hidden !== undefined && hidden !== !!room.hidden;
+  if (!changeArchived && !changeHidden) return res.json(publicRoom(room));
+
+  if (changeArchived) {
+    if (archived) evictRoom(room.slug, "この部屋は閉鎖されました。");
+    room.archived = archived;
+    room.archivedAt = archived ? Date.now() : null;
+    auditAdmin(req, archived ? "room_archive" : "room_unarchive", { room: room.slug });
+  }
+  if (changeHidden) {
+    room.hidden = hidden;
+    auditAdmin(req, hidden ? "room_hide" : "room_unhide", { room: room.slug });
+  }
+  saveRoomRegistry();
+  res.json(publicRoom(room));
+});
+
+// PUT /api/admin/rooms/:slug/config { title, description, capacity, templates, features }（送った項目だけ。null = 既定値）
+// 入室中の人の画面にもすぐ反映する。定員を減らしても入室中の人は退出させない
+app.put("/api/admin/rooms/:slug/config", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const room = findRoom(req.params.slug);
+  if (!room) return res.status(404).json({ error: "room not found" });
+
+  const { values, errors } = validateRoomConfig(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: "invalid config", errors });
+
+  for (const [k, v] of Object.entries(values)) {
+    if (v === null) delete room[k];
+    else room[k] = v;
+  }
+  saveRoomRegistry();
+
+  const config = getRoomConfig(room.slug);
+  io.to(room.slug).emit("room-config", config);
+  auditAdmin(req, "room_config_update", { room: room.slug, fields: Object.keys(values) });
+  res.json({ ok: true, room: room.slug, config });
+});
+
+// DELETE /api/admin/rooms/:slug（部屋別のモデレーション設定・ピン留め・招待リンクも消す）
+app.delete("/api/admin/rooms/:slug", (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  const room = findRoom(req.params.slug);
+  if (!room) return res.status(404).json({ error: "room not found" });
+  if (room.slug === DEFAULT_ROOM) return res.status(400).json({ error: "cannot delete default room" });
+
+  evictRoom(room.slug, "この部屋は削除されました。");
+  roomRegistry.items = roomRegistry.items.filter((r) => r !== room);
+  saveRoomRegistry();
+
+  if (moderation.rooms && moderation.rooms[room.slug]) {
+    const rooms = { ...moderation.rooms };
+    delete rooms[room.slug];
+    saveModeration({ ...moderation, rooms });
+  }
+  if ((notices.items || []).some((n) => n.room === room.slug)) {
+    notices.items = notices.items.filter((n) => n.room !== room.slug);
+    saveNotices();
+  }
+  if ((invites.items || []).some((it) => it.room === room.slug)) {
+    invites.items = invites.items.filter((it) => it.room !== room.slug);
+    saveInvites();
+  }
+
+  auditAdmin(req, "room_delete", { room: room.slug });
+  res.json({ ok: true, removed: publicRoom(room) });
+});
+
+// ===========================
+// ★ 合言葉つきルームと招待リンク
+// ===========================
+// rooms.json の各ルームに passwordHash（合言葉）/ inviteOnly（招待リンクのみ）を持てる。どちらかあれば「保護あり」。
+// 招待リンクは /r/:slug?invite=<id>.<署名>。invites.json に期限・使用回数を持ち、招待リンクで入るたびに1回使う。
+// 入室できたら期限つきの入室パス（x-room-pass ヘッダ / join の roomPass）を渡し、再接続・入り直し・ログ取得はそれで通す
+// （参加者が自由に送れる clientId では入り直しを認めない）。
+// 合言葉や招待のみの設定を変えると accessVersion が上がり、それまでの入室パスは使えなくなる
+const INVITES_FILE = path.join(__dirname, "invites.json");
+const INVITE_MAX_MINUTES = 30 * 24 * 60;
+const INVITE_MAX_USES = 1000;
+const ROOM_PASS_TTL_MS = 12 * 60 * 60 * 1000;
+const ROOM_PASSWORD_MIN = 4;
+const ROOM_PASSWORD_MAX = 64;
+const INVITE_SWEEP_INTERVAL_MS = 60 * 1000;
+let invites = readJsonSafe(INVITES_FILE, { items: [] });
+
+// 署名の鍵は .env の ROOM_INVITE_SECRET、無ければ invites.json に作って保存（再起動しても招待リンクが使える）
+if (!process.env.ROOM_INVITE_SECRET && !invites.secret) {
+  invites.secret = crypto.randomBytes(32).toString("hex");
+  writeJsonSafe(INVITES_FILE, invites);
+}
+const ROOM_ACCESS_SECRET = String(process.env.ROOM_INVITE_SECRET || invites.secret);
+
+// 同じルーム・同じIPから10分で5回合言葉を間違えたら10分ロック
+const roomPasswordGuard = createLoginGuard({ maxFailures: 5, windowMs: 10 * 60 * 1000, lockMs: 10 * 60 * 1000 });
+
+function saveInvites() {
+  writeJsonSafe(INVITES_FILE, invites);
+}
+
+function signRoomAccess(payload) {
+  return crypto.createHmac("sha256", ROOM_ACCESS_SECRET).update(payload).digest("base64url").slice(0, 32);
+}
+
+// "open" | "password"（合言葉か招待リンク）| "invite"（招待リンクのみ）
+function roomAccessMode(room) {
+  if (!room) return "open";
+  if (room.inviteOnly) return "invite";
+  return room.passwordHash ? "password" : "open";
+}
+
+function isRoomProtected(slug) {
+  return roomAccessMode(findRoom(slug)) !== "open";
+}
+
+function inviteToken(item) {
+  return `${item.id}.${signRoomAccess(`invite:${item.id}:${item.room}:${item.expiresAt}:${item.maxUses}`)}`;
+}
+
+// 戻り値: 使える招待 / null（署名違い・取り消し・期限切れ・使い切り）
+function findValidInvite(token, room, now = Date.now()) {
+  const [id] = String(token || "").split(".");
+  const item = (invites.items || []).find((it) => it.id === id && it.room === room);
+  if (!item || !safeEqual(token, inviteToken(item))) return null;
+  if (item.expiresAt <= now) return null;
+  if (item.uses >= item.maxUses) return null;
+  return item;
+}
+
+function useInvite(item) {
+  item.uses += 1;
+  saveInvites();
+}
+
+function issueRoomPass(room, now = Date.now()) {
+  const expiresAt = now + ROOM_PASS_TTL_MS;
+  return `${expiresAt}.${signRoomAccess(`pass:${room.slug}:${room.accessVersion || 0}:${expiresAt}`)}`;
+}
+
+function isValidRoomPass(room, pass, now = Date.now()) {
+  const [exp] = String(pass || "").split(".");
+  const expiresAt = Number(exp);
+  if (!Number.isFinite(expiresAt) || expiresAt <= now) return false;
+  return safeEqual(pass, `${expiresAt}.${signRoomAccess(`pass:${room.slug}:${room.accessVersion || 0}:${expiresAt}`)}`);
+}
+
+// join の { roomPass, invite, roomPassword } を確認する
+// 戻り値（Promise）: { ok: true, invite } / { ok: false, mode, error: null | "invalid_invite" | "wrong_password" | "locked", retryMs }
+async function checkRoomAccess(slug, { roomPass, invite, roomPassword } = {}, ip) {
+  const room = findRoom(slug);
+  const mode = roomAccessMode(room);
+  if (mode === "open") return { ok: true };
+  if (roomPass && isValidRoomPass(room, roomPass)) return { ok: true };
+
+  if (invite) {
+    const item = findValidInvite(invite, slug);
+    if (item) return { ok: true, invite: item };
+    return { ok: false, mode, error: "invalid_invite" };
+  }
+
+  if (mode === "password" && roomPassword) {
+    const key = `${slug}:${ip}`;
+    const lockedMs = roomPasswordGuard.lockedFor(key);
+    if (lockedMs > 0) return { ok: false, mode, error: "locked", retryMs: lockedMs };
+    if (await verifyPassword(String(roomPassword).slice(0, ROOM_PASSWORD_MAX), room.passwordHash)) {
+      roomPasswordGuard.succeed(key);
+      return { ok: true };
+    }
+    const { lockedMs: nowLocked } = roomPasswordGuard.fail(key);
+    return { ok: false, mode, error: nowLocked > 0 ? "locked" : "wrong_password", retryMs: nowLocked || undefined };
+  }
+
+  return { ok: false, mode, error: null };
+}
+
+// ログ・ロングポーリング用（入室パス、またはそのルームを担当する管理者のセッション）
+function hasRoomHttpAccess(req, slug) {
+  const room = findRoom(slug);
+  if (roomAccessMode(room) === "open") return true;
+  if (isValidRoomPass(room, req.headers["x-room-pass"])) return true;
+  const auth = getAdminSession(req);
+  return !!auth && canAccessRoom(auth.account, slug);
+}
+
+function publicInvite(item, now = Date.now()) {
+  return { ...item, active: item.expiresAt > now && item.uses < item.maxUses };
+}
+
+function cleanupExpiredInvites() {
+  const now = Date.now();
+  const items = invites.items || [];
+  const kept = items.filter((it) => it.expiresAt > now);
+  if (kept.length === items.length) return;
+  invites.items = kept;
+  saveInvites();
+}
+setInterval(cleanupExpiredInvites, INVITE_SWEEP_INTERVAL_MS);
+
+// PUT /api/admin/rooms/:slug/access { password: "..." | null（外す）, inviteOnly }（送った項目だけ）
+// 入室中の人はそのまま。新しく入る人と、入室パスでの再接続から効く
+app.put("/api/admin/rooms/:slug/access", async (req, res) => {
+  if (!requireAdmin(req, res, "owner")) return;
+
+  if (!findRoom(req.params.slug)) return res.status(404).json({ error: "room not found" });
+
+  const { password, inviteOnly } = req.body || {};
+  if (password !== undefined && password !== null) {
+    const p = typeof password === "string" ? password : "";
+    if (p.length < ROOM_PASSWORD_MIN || p.length > ROOM_PASSWORD_MAX) {
+      return res.status(400).json({ error: `password must be ${ROOM_PASSWORD_MIN}-${ROOM_PASSWORD_MAX} characters` });
+    }
+  }
+  if (inviteOnly !== undefined && typeof inviteOnly !== "boolean") {
+    return res.status(400).json({ error: "inviteOnly must be boolean" });
+  }
+
+  const passwordHash = typeof password === "string" ? await hashPasswordAsync(password) : null;
+  // ハッシュの計算中に削除されているかもしれないので、ここで取り直す
+  const room = findRoom(req.params.slug);
+  if (!room) return res.status(404).json({ error: "room not found" });
+
+  if (password === null) delete room.passwordHash;
+  else if (passwordHash) room.passwordHash = passwordHash;
+  if (inviteOnly !== undefined) room.inviteOnly = inviteOnly;
+  room.accessVersion = (room.accessVersion || 0) + 1;
+  saveRoomRegistry();
+
+  const access = roomAccessMode(room);
+  auditAdmin(req, "room_access_update", {
+    room: room.slug,
+    access,
+    password: password === undefined ? "unchanged" : password === null ? "cleared" : "set",
+  });
+  res.json({ ok: true, room: room.slug, access });
+});
+
+// GET /api/admin/invites?room=main（room 省略で担当ルームすべて）
+app.get("/api/admin/invites", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  cleanupExpiredInvites();
+  const room = req.query.room ? normalizeRoomSlug(req.query.room) : null;
+  const items = (invites.items || []).filter((it) => (!room || it.room === room) && adminCanSeeRoom(req, it.room));
+  res.json({ items: items.map((it) => publicInvite(it)) });
+});
+
+// POST /api/admin/invites { room, minutes（既定24時間）, maxUses（既定1）, label }
+// 招待リンクはこのレスポンスでだけ返す
+app.post("/api/admin/invites", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { room, minutes, maxUses, label } = req.body || {};
+  const slug = normalizeRoomSlug(room);
+  if (!isRoomAllowed(slug)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, slug)) return;
+
+  const m = minutes === undefined || minutes === null || minutes === "" ? 24 * 60 : Number(minutes);
+  if (!Number.isInteger(m) || m < 1 || m > INVITE_MAX_MINUTES) return res.status(400).json({ error: "invalid minutes" });
+  const n = maxUses === undefined || maxUses === null || maxUses === "" ? 1 : Number(maxUses);
+  if (!Number.isInteger(n) || n < 1 || n > INVITE_MAX_USES) return res.status(400).json({ error: "invalid maxUses" });
+
+  const now = Date.now();
+  const item = {
+    id: uid(),
+    room: slug,
+    label: String(label ?? "").trim().slice(0, 40),
+    maxUses: n,
+    uses: 0,
+    createdAt: now,
+    expiresAt: now + m * 60 * 1000,
+    by: getAdminActor(req),
+  };
+  invites.items = [...(invites.items || []), item];
+  saveInvites();
+
+  const token = inviteToken(item);
+  auditAdmin(req, "invite_create", { room: slug, inviteId: item.id, label: item.label, minutes: m, maxUses: n });
+  res.status(201).json({ ...publicInvite(item), token, url: `/r/${encodeURIComponent(slug)}?invite=${token}` });
+});
+
+// DELETE /api/admin/invites/:id（まだ使っていない人はそのリンクで入れなくなる）
+app.delete("/api/admin/invites/:id", (req, res) => {
   if (!requireAdmin(req, res)) return;
-  res.json({ rooms: Array.from(ALLOWED_ROOMS) });
+
+  const items = invites.items || [];
+  const item = items.find((it) => it.id === req.params.id);
+  if (!item) return res.status(404).json({ error: "invite not found" });
+  if (!requireAdminRoom(req, res, item.room)) return;
+
+  invites.items = items.filter((it) => it !== item);
+  saveInvites();
+  auditAdmin(req, "invite_revoke", { room: item.room, inviteId: item.id, label: item.label });
+  res.json({ ok: true, removed: publicInvite(item) });
 });
 
 // ===========================
 // ★ 管理者：全お題一覧（全ルーム）
-// GET /api/admin/topics?password=...
+// GET /api/admin/topics
 // ===========================
 app.get("/api/admin/topics", (req, res) => {
-  if (!requireAdmin(req, res)) return;
-  res.json(getAllTopics());
+  if (!requireAdmin(req, res, "topics")) return;
+  // 担当ルームがあるアカウントには、担当ルームに出るお題だけ見せる
+  const list = getAllTopics();
+  res.json(isRoomScoped(req.adminAccount) ? list.filter((t) => t.rooms.some((r) => adminCanSeeRoom(req, r))) : list);
 });
 
 // ===========================
@@ -135,6 +923,8 @@ app.get("/api/admin/topics", (req, res) => {
 // ===========================
 const MODERATION_FILE = path.join(__dirname, "moderation.json");
 const BANLIST_FILE = path.join(__dirname, "banlist.json");
+const MUTELIST_FILE = path.join(__dirname, "mutelist.json");
+const FLAGGED_FILE = path.join(__dirname, "flagged.json");
 
 function readJsonSafe(filePath, fallback) {
   try {
@@ -155,88 +945,827 @@ function uid() {
   return crypto.randomBytes(8).toString("hex");
 }
 
-let moderation = readJsonSafe(MODERATION_FILE, {
+// 数値・真偽値の設定の既定値（moderation.json に無い項目はこれを使う）
+// minIntervalMs: トークンが1個回復する間隔 / rateBurst: 貯められるトークン数（連続で送れる回数）
+// dupWindowMs 内に似たメッセージが dupMaxRepeats 件あれば拒否
+// 連投・重複の違反が autoMuteStrikes 回（10分以内）で autoMuteMinutes 分の自動ミュート（0 = しない）
+const MODERATION_DEFAULTS = {
   maxMsgLen: 300,
   minIntervalMs: 1000,
   maxUrlsPerMsg: 3,
   blockPII: true,
+  rateBurst: 5,
+  dupWindowMs: 60 * 1000,
+  dupMaxRepeats: 3,
+  autoMuteStrikes: 5,
+  autoMuteMinutes: 10,
+};
+
+let moderation = readJsonSafe(MODERATION_FILE, {
+  ...MODERATION_DEFAULTS,
   ngWords: [],
   ngRegexes: [],
 });
 
 let banlist = readJsonSafe(BANLIST_FILE, { items: [] });
+// ミュート（入室・閲覧はできるが、発言・ダイス・ガチャ・入力中表示ができない）
+let mutelist = readJsonSafe(MUTELIST_FILE, { items: [] });
+
+// NGアクション flag / shadow で記録された要確認メッセージ（新しい順に最大500件）
+const MAX_FLAGGED = 500;
+let flagged = readJsonSafe(FLAGGED_FILE, { items: [] });
+
+function recordFlaggedMessage(entry) {
+  flagged.items = flagged.items || [];
+  flagged.items.unshift({ id: uid(), at: Date.now(), ...entry });
+  if (flagged.items.length > MAX_FLAGGED) flagged.items.length = MAX_FLAGGED;
+  try {
+    writeJsonSafe(FLAGGED_FILE, flagged);
+  } catch (e) {
+    console.error("flagged.json write error:", e);
+  }
+}
 
-let compiledNgRegexes = [];
+// ★ ngRegexes は worker 上で時間制限付きで評価する（ReDoS対策）
+const { createRegexGuard } = require("./regex-guard");
+const NG_REGEX_TIMEOUT_MS = 100;
+const NG_REGEX_BUDGET_MS = 200; // 1件の発言の判定にかける時間の上限（超えたら正規表現の一致なしとして通す）
+const regexGuard = createRegexGuard({
+  timeoutMs: NG_REGEX_TIMEOUT_MS,
+  budgetMs: NG_REGEX_BUDGET_MS,
+  onTimeout: (p) => disableNgRegex(p),
+  onBudgetExceeded: () => console.warn(`ngRegex check skipped: over ${NG_REGEX_BUDGET_MS}ms (queue busy)`),
+});
 function normalizeForCheck(text) {
   if (!text) return "";
   return text.toString().normalize("NFKC").toLowerCase();
 }
-function compileModerationRegexes() {
-  compiledNgRegexes = [];
-  for (const s of moderation.ngRegexes || []) {
-    try {
-      compiledNgRegexes.push(new RegExp(String(s), "i"));
-    } catch (e) {
-      console.warn("Invalid regex skipped:", s);
-    }
-  }
+// ★ NGワード/正規表現のアクション
+// reject: 送信拒否 / mask: 該当部分を＊＊＊にして送信 / shadow: 本人にだけ表示 / flag: 送信して要確認に記録
+const NG_ACTIONS = ["reject", "mask", "shadow", "flag"];
+const NG_ACTION_PRIORITY = { reject: 3, shadow: 2, flag: 1, mask: 0 };
+const NG_MASK = "＊＊＊";
+
+// "ワード" または { value, action } → { value, action }
+function normalizeNgEntry(entry) {
+  if (typeof entry === "string") return { value: entry.trim(), action: "reject" };
+  if (!entry || typeof entry !== "object") return null;
+  const value = String(entry.value ?? "").trim();
+  const action = NG_ACTIONS.includes(entry.action) ? entry.action : "reject";
+  return { value, action };
 }
-compileModerationRegexes();
 
-function cleanupExpiredBans() {
-  const now = Date.now();
-  banlist.items = (banlist.items || []).filter((it) => !it.expiresAt || it.expiresAt > now);
-  writeJsonSafe(BANLIST_FILE, banlist);
+// 保存形式：reject は従来どおり文字列、それ以外は { value, action }
+function serializeNgEntry({ value, action }) {
+  return action === "reject" ? value : { value, action };
 }
 
-function getSocketIp(socket) {
-  const xf = socket.handshake.headers["x-forwarded-for"];
-  if (xf) return String(xf).split(",")[0].trim();
-  return socket.handshake.address || "";
+// room: null = 共通設定の正規表現
+function isNgRegexDisabled(value, room) {
+  return (moderation.disabledNgRegexes || []).some((d) => d.value === value && d.room === room);
 }
 
-function isBanned(clientId, ip) {
-  cleanupExpiredBans();
-  for (const it of banlist.items || []) {
-    if (it.type === "clientId" && clientId && it.value === clientId) return true;
-    if (it.type === "ip" && ip && it.value === ip) return true;
+function compileRegexList(list, room) {
+  const out = [];
+  for (const raw of list || []) {
+    const entry = normalizeNgEntry(raw);
+    if (!entry || !entry.value || isNgRegexDisabled(entry.value, room)) continue;
+    try {
+      new RegExp(entry.value, "i");
+      out.push({ source: entry.value, action: entry.action, room });
+    } catch (e) {
+      console.warn("Invalid regex skipped:", entry.value);
+    }
   }
-  return false;
+  return out;
 }
-
-function containsNgWordByModeration(text) {
-  const normalized = normalizeForCheck(text);
-
-  for (const w of moderation.ngWords || []) {
-    const nw = normalizeForCheck(w);
-    if (nw && normalized.includes(nw)) return true;
-  }
-  for (const re of compiledNgRegexes) {
-    try {
-      if (re.test(String(text))) return true;
-    } catch (_) {}
+function compileModerationRegexes() {
+  const patterns = compileRegexList(moderation.ngRegexes, null);
+  for (const [room, ov] of Object.entries(moderation.rooms || {})) {
+    patterns.push(...compileRegexList(ov && ov.ngRegexes, room));
   }
-  return false;
+  regexGuard.setPatterns(patterns);
 }
 
-const URL_REGEX = /(https?:\/\/[^\s]+)/gi;
-const BLOCKED_URL_DOMAINS = ["bit.ly", "t.co", "discord.gg", "goo.gl", "tinyurl.com"];
+// 制限時間を超えた正規表現は自動で無効化して記録する（管理画面に表示）
+function disableNgRegex({ source, room }) {
+  console.warn(`ngRegex timed out and was disabled (room: ${room || "*"}):`, source);
+  if (isNgRegexDisabled(source, room)) return;
+  auditLog.append({ kind: "system", rule: "regex_disabled", room, detail: { value: source, timeoutMs: NG_REGEX_TIMEOUT_MS } });
+
+  const disabledNgRegexes = [
+    ...(moderation.disabledNgRegexes || []),
+    { value: source, room, at: Date.now(), reason: `timeout (>${NG_REGEX_TIMEOUT_MS}ms)` },
+  ];
+  moderation = { ...moderation, disabledNgRegexes };
+  try {
+    writeJsonSafe(MODERATION_FILE, moderation);
+  } catch (e) {
+    console.error("moderation.json write error:", e);
+  }
+  compileModerationRegexes();
+}
+compileModerationRegexes();
 
-const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
-const PHONE_REGEXES = [/0\d{1,4}-\d{1,4}-\d{3,4}/, /\b0\d{9,10}\b/];
+// ★ 部屋別の上書き設定（moderation.rooms[slug]）を共通設定に重ねた実効ポリシー
+// 数値/blockPII は上書き、ngWords/ngRegexes は共通設定に追加
+function getRoomModeration(room) {
+  const r = normalizeRoomSlug(room);
+  const { rooms, ...base } = moderation;
+  const ov = (rooms && rooms[r]) || {};
 
-function containsPersonalInfo(text) {
-  if (!text) return false;
-  const normalized = normalizeForCheck(text);
-  if (EMAIL_REGEX.test(normalized)) return true;
-  for (const re of PHONE_REGEXES) {
-    if (re.test(normalized)) return true;
+  const policy = { ...MODERATION_DEFAULTS, ...base };
+  for (const field of Object.keys(MODERATION_DEFAULTS)) {
+    if (ov[field] !== undefined) policy[field] = ov[field];
   }
-  return false;
+  policy.ngWords = [...(base.ngWords || []), ...(ov.ngWords || [])];
+  policy.ngRegexes = [...(base.ngRegexes || []), ...(ov.ngRegexes || [])];
+  return policy;
 }
 
-function getTimeString() {
-  return new Date().toLocaleTimeString("ja-JP", {
+// ===========================
+// ★ 監査ログ（モデレーション判定・管理操作 / audit/audit.jsonl）
+// ===========================
+const { createAuditLog } = require("./audit-log");
+const auditLog = createAuditLog({ dir: path.join(__dirname, "audit") });
+
+// 監査ログ用の抜粋：メールアドレスや長い数字列は伏せて短くする
+function redactExcerpt(text, max = 60) {
+  const t = String(text ?? "")
+    .normalize("NFKC")
+    .replace(new RegExp(EMAIL_REGEX.source, "g"), "[email]")
+    .replace(/\d[\d\s-]{6,}\d/g, "[number]");
+  return t.length > max ? t.slice(0, max) + "…" : t;
+}
+
+// 同じ判定（ルール・ルーム・IP）は AUDIT_DECISION_WINDOW_MS ごとに AUDIT_DECISION_BURST 件まで記録し、
+// それを超えた分は件数だけ数えて窓の終わりに1件にまとめる（連投する人が古い記録をローテーションで押し出せないように）。
+// clientId は参加者が自由に変えられるので IP で数える。ライブ監視と荒らし判定には毎回流す
+const AUDIT_DECISION_WINDOW_MS = 60 * 1000;
+const AUDIT_DECISION_BURST = 5;
+const decisionThrottle = new Map(); // key -> { startedAt, count, suppressed, last: { rule, room, clientId, ip } }
+
+// 窓を閉じる（まとめた件数があれば1件だけ記録）
+function closeDecisionWindow(key, t) {
+  decisionThrottle.delete(key);
+  if (t.suppressed === 0) return;
+  auditLog.append({
+    kind: "decision",
+    ...t.last,
+    name: null,
+    excerpt: null,
+    detail: { suppressed: t.suppressed, windowMs: AUDIT_DECISION_WINDOW_MS },
+  });
+}
+
+function flushDecisionThrottle(now = Date.now()) {
+  for (const [key, t] of decisionThrottle) {
+    if (now - t.startedAt >= AUDIT_DECISION_WINDOW_MS) closeDecisionWindow(key, t);
+  }
+}
+setInterval(flushDecisionThrottle, AUDIT_DECISION_WINDOW_MS / 4);
+
+// 記録してよければ true
+function takeDecisionSlot(rule, room, clientId, ip, now = Date.now()) {
+  const key = `${rule}::${room || ""}::${ip}`;
+  let t = decisionThrottle.get(key);
+  if (t && now - t.startedAt >= AUDIT_DECISION_WINDOW_MS) {
+    closeDecisionWindow(key, t);
+    t = null;
+  }
+  if (!t) {
+    t = { startedAt: now, count: 0, suppressed: 0, last: null };
+    decisionThrottle.set(key, t);
+  }
+  t.last = { rule, room, clientId, ip };
+  if (t.count < AUDIT_DECISION_BURST) {
+    t.count++;
+    return true;
+  }
+  t.suppressed++;
+  return false;
+}
+
+// 参加者のメッセージ/操作に対するモデレーション判定
+function auditDecision(socket, rule, { room, text, detail } = {}) {
+  const r = room || socket.data.roomSlug || null;
+  const user = r ? getRoomState(r).users[socket.id] : null;
+  const excerpt = text !== undefined ? redactExcerpt(text) : null;
+  const clientId = socketClientIds[socket.id] || null;
+  const ip = getSocketIp(socket);
+  if (takeDecisionSlot(rule, r, clientId, ip)) {
+    auditLog.append({
+      kind: "decision",
+      rule,
+      room: r,
+      clientId,
+      ip,
+      name: user ? user.name : null,
+      excerpt,
+      detail: detail || null,
+    });
+  }
+  if (r) {
+    emitMonitor(r, "decision", {
+      rule,
+      socketId: socket.id,
+      clientId: socketClientIds[socket.id] || null,
+      name: user ? user.name : null,
+      excerpt,
+      detail: detail || null,
+    });
+  }
+  if (r && RAID_BLOCKED_RULES.has(rule)) noteBlockedMessage(r, socketClientIds[socket.id] || socket.id);
+}
+
+// 管理者による操作
+function getAdminActor(req) {
+  return (req.adminAccount && req.adminAccount.name) || "admin";
+}
+function auditAdmin(req, action, detail = {}) {
+  auditLog.append({
+    kind: "admin",
+    rule: action,
+    room: detail.room || null,
+    admin: getAdminActor(req),
+    ip: getRequestIp(req),
+    detail,
+  });
+}
+
+// ===========================
+// ★ IP判定（信頼できるプロキシ経由のときだけ X-Forwarded-For を使う）
+// TRUSTED_PROXIES=127.0.0.1,::1,10.0.0.0/8 のように CIDR で指定
+// ===========================
+const { parseCidr, formatCidr, normalizeIp, createIpMatcher } = require("./ip-utils");
+
+const TRUSTED_PROXIES = createIpMatcher(
+  String(process.env.TRUSTED_PROXIES || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+// BAN照合用インデックス（banlist が変わったら作り直す）
+// room の付いたBAN（担当ルームのあるアカウントが付けたもの）はそのルームにだけ効く
+function buildBanMatcher(items) {
+  return {
+    clientIds: new Set(items.filter((it) => it.type === "clientId").map((it) => it.value)),
+    ips: createIpMatcher(items.filter((it) => it.type === "ip").map((it) => it.value)),
+  };
+}
+
+let banIndex = null;
+function getBanIndex() {
+  if (!banIndex) {
+    const items = banlist.items || [];
+    const rooms = new Map();
+    for (const room of new Set(items.filter((it) => it.room).map((it) => it.room))) {
+      rooms.set(room, buildBanMatcher(items.filter((it) => it.room === room)));
+    }
+    banIndex = { all: buildBanMatcher(items.filter((it) => !it.room)), rooms };
+  }
+  return banIndex;
+}
+function invalidateBanIndex() {
+  banIndex = null;
+}
+
+function cleanupExpiredBans() {
+  const now = Date.now();
+  const items = banlist.items || [];
+  const alive = items.filter((it) => !it.expiresAt || it.expiresAt > now);
+  if (alive.length === items.length) return;
+
+  banlist.items = alive;
+  invalidateBanIndex();
+  writeJsonSafe(BANLIST_FILE, banlist);
+}
+
+function getSocketIp(socket) {
+  return resolveClientIp(socket.handshake.address, socket.handshake.headers["x-forwarded-for"]);
+}
+
+// HTTP（管理APIのロックアウト・監査ログ）も同じ判定
+function getRequestIp(req) {
+  return resolveClientIp(req.socket && req.socket.remoteAddress, req.headers["x-forwarded-for"]);
+}
+
+function resolveClientIp(address, xf) {
+  const remote = normalizeIp(address || "");
+  if (!xf || !TRUSTED_PROXIES.has(remote)) return remote;
+
+  // 右（自分に近い側）から見て、信頼できるプロキシではない最初のアドレスが本当の接続元
+  const hops = String(xf).split(",").map((s) => s.trim()).filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const ip = normalizeIp(hops[i]);
+    if (!TRUSTED_PROXIES.has(ip)) return ip;
+  }
+  return hops.length > 0 ? normalizeIp(hops[0]) : remote;
+}
+
+function isBanned(clientId, ip, room = null) {
+  cleanupExpiredBans();
+  const idx = getBanIndex();
+  for (const m of [idx.all, room ? idx.rooms.get(room) : null]) {
+    if (!m) continue;
+    if (clientId && m.clientIds.has(clientId)) return true;
+    if (ip && m.ips.has(ip)) return true;
+  }
+  return false;
+}
+
+// ミュートは残り時間を返す必要があるので、項目ごとに照合する（件数は少ない前提）
+let muteIndex = null;
+function getMuteIndex() {
+  if (!muteIndex) {
+    muteIndex = (mutelist.items || []).map((it) => ({
+      item: it,
+      ips: it.type === "ip" ? createIpMatcher([it.value]) : null,
+    }));
+  }
+  return muteIndex;
+}
+function invalidateMuteIndex() {
+  muteIndex = null;
+}
+
+function cleanupExpiredMutes() {
+  const now = Date.now();
+  const items = mutelist.items || [];
+  const alive = items.filter((it) => it.expiresAt > now);
+  if (alive.length === items.length) return;
+
+  mutelist.items = alive;
+  invalidateMuteIndex();
+  writeJsonSafe(MUTELIST_FILE, mutelist);
+}
+
+// 該当するミュートのうち、いちばん遅く切れるもの（なければ null）
+function findMute(clientId, ip, room = null) {
+  cleanupExpiredMutes();
+  let found = null;
+  for (const { item, ips } of getMuteIndex()) {
+    if (item.room && item.room !== room) continue; // ほかのルームだけのミュート
+    const hit = item.type === "clientId" ? !!clientId && item.value === clientId : !!ip && ips.has(ip);
+    if (hit && (!found || item.expiresAt > found.expiresAt)) found = item;
+  }
+  return found;
+}
+
+// 「し ね」「し・ね」のような区切り文字での回避を潰すため、比較時は読み飛ばす
+const NG_SEPARATOR_RE = /[\s・.,，、。_*~〜|\/\\'"`!！?？-]/;
+
+// normalizeForCheck 済みの比較用文字列と、各文字が元テキストのどこから来たかの対応表
+function buildCheckIndex(text) {
+  const src = String(text ?? "");
+  let norm = "";
+  const map = []; // norm[i] -> [start, end)（元テキスト上の位置）
+  let pos = 0;
+  for (const ch of src) {
+    const start = pos;
+    pos += ch.length;
+    for (const c of normalizeForCheck(ch)) {
+      if (NG_SEPARATOR_RE.test(c)) continue;
+      norm += c;
+      for (let k = 0; k < c.length; k++) map.push([start, pos]);
+    }
+  }
+  return { norm, map };
+}
+
+function maskRanges(text, ranges) {
+  if (ranges.length === 0) return text;
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([r[0], r[1]]);
+  }
+  let out = "";
+  let cur = 0;
+  for (const [a, b] of merged) {
+    out += text.slice(cur, a) + NG_MASK;
+    cur = b;
+  }
+  return out + text.slice(cur);
+}
+
+// NGワード/正規表現を評価する
+// 戻り値: { action: null|"reject"|"shadow"|"flag"|"mask", text: マスク後の本文, hits: [{ kind, value, action }] }
+async function checkNgRules(text, room) {
+  const src = String(text ?? "");
+  const policy = getRoomModeration(room);
+  const hits = [];
+  const toMask = [];
+  const index = buildCheckIndex(src);
+
+  for (const raw of policy.ngWords || []) {
+    const entry = normalizeNgEntry(raw);
+    if (!entry) continue;
+    const nw = buildCheckIndex(entry.value).norm;
+    if (!nw) continue;
+
+    let from = 0;
+    let hit = false;
+    for (;;) {
+      const at = index.norm.indexOf(nw, from);
+      if (at === -1) break;
+      hit = true;
+      if (entry.action === "mask") toMask.push([index.map[at][0], index.map[at + nw.length - 1][1]]);
+      from = at + nw.length;
+    }
+    if (hit) hits.push({ kind: "word", value: entry.value, action: entry.action });
+  }
+
+  // 元テキストと比較用文字列の両方で探す（後者は対応表で元の位置に戻す）
+  const r = normalizeRoomSlug(room);
+  const results = await regexGuard.test([src, index.norm], (p) => p.room === null || p.room === r);
+  for (const { pattern, ranges } of results) {
+    hits.push({ kind: "regex", value: pattern.source, action: pattern.action });
+    if (pattern.action !== "mask") continue;
+    toMask.push(...ranges[0]);
+    for (const [a, b] of ranges[1]) toMask.push([index.map[a][0], index.map[b - 1][1]]);
+  }
+
+  const masked = maskRanges(src, toMask);
+
+  let action = null;
+  for (const h of hits) {
+    if (action === null || NG_ACTION_PRIORITY[h.action] > NG_ACTION_PRIORITY[action]) action = h.action;
+  }
+  return { action, text: masked, hits };
+}
+
+// ★ URLポリシー（moderation.urlPolicy：全ルーム共通）
+// denylist: domains に載っているドメイン（とそのサブドメイン・見た目が似たもの）を拒否
+// allowlist: domains に載っているドメイン以外のURLをすべて拒否
+const { URL_POLICY_MODES, normalizeHost, extractUrls, findBlockedUrl } = require("./url-policy");
+
+const DEFAULT_URL_POLICY = {
+  mode: "denylist",
+  domains: ["bit.ly", "t.co", "discord.gg", "goo.gl", "tinyurl.com"],
+};
+const MAX_URL_POLICY_DOMAINS = 500;
+
+function getUrlPolicy() {
+  return moderation.urlPolicy || DEFAULT_URL_POLICY;
+}
+
+// ★ 個人情報の検出（moderation.piiDetectors：全ルーム共通 / { 検出器id: true|false }、未指定は有効）
+// blockPII が全体のオン・オフ、piiDetectors が種類ごとのオン・オフ
+const { EMAIL_REGEX, DETECTORS: PII_DETECTORS, detectPersonalInfo } = require("./pii-detectors");
+
+function isPiiDetectorEnabled(id) {
+  const toggles = moderation.piiDetectors || {};
+  return toggles[id] !== false;
+}
+
+// 有効な検出器で最初に見つかったもの { id, label, match } / null
+function findPersonalInfo(text) {
+  if (!text) return null;
+  return detectPersonalInfo(text, isPiiDetectorEnabled)[0] || null;
+}
+
+// ===========================
+// ★ モデレーション設定API（全ルーム共通）
+// ===========================
+const MODERATION_LIMITS = {
+  maxMsgLen: { min: 1, max: 5000 },
+  minIntervalMs: { min: 0, max: 60 * 1000 },
+  maxUrlsPerMsg: { min: 0, max: 50 },
+  rateBurst: { min: 1, max: 50 },
+  dupWindowMs: { min: 0, max: 10 * 60 * 1000 },
+  dupMaxRepeats: { min: 1, max: 20 },
+  autoMuteStrikes: { min: 0, max: 50 },
+  autoMuteMinutes: { min: 1, max: 24 * 60 },
+};
+const MAX_NG_ITEMS = 500;
+const MAX_NG_ITEM_LEN = 200;
+
+// ngWords / ngRegexes：文字列 or { value, action } の配列 → 空行・重複（value単位）を除いた配列
+// line は送られてきた配列での位置（管理画面は空行も送るので、テキストエリアの行番号と一致する）
+function toNgEntryList(value) {
+  if (!Array.isArray(value)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const [i, raw] of value.entries()) {
+    const entry = normalizeNgEntry(raw);
+    if (!entry || !entry.value || seen.has(entry.value)) continue;
+    entry.line = i + 1;
+    if (raw && typeof raw === "object" && raw.action !== undefined && !NG_ACTIONS.includes(raw.action)) {
+      entry.invalidAction = String(raw.action);
+    }
+    seen.add(entry.value);
+    out.push(entry);
+  }
+  return out;
+}
+
+// 送られてきた設定を1項目ずつ検証する（undefined の項目は対象外）
+// allowInherit: 部屋別設定用。null / "" は「共通設定を使う」として null を返す
+// errors: [{ field, line?, value?, message }]
+function validateModerationFields(body, { allowInherit = false } = {}) {
+  const src = body && typeof body === "object" ? body : {};
+  const values = {};
+  const errors = [];
+  const isInherit = (v) => allowInherit && (v === null || v === "");
+
+  for (const [field, { min, max }] of Object.entries(MODERATION_LIMITS)) {
+    if (src[field] === undefined) continue;
+    if (isInherit(src[field])) {
+      values[field] = null;
+      continue;
+    }
+    const n = Number(src[field]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field, message: `${min}〜${max} の整数で指定してください` });
+      continue;
+    }
+    values[field] = n;
+  }
+
+  if (src.blockPII !== undefined) {
+    if (isInherit(src.blockPII)) {
+      values.blockPII = null;
+    } else if (typeof src.blockPII !== "boolean") {
+      errors.push({ field: "blockPII", message: "true / false で指定してください" });
+    } else {
+      values.blockPII = src.blockPII;
+    }
+  }
+
+  for (const field of ["ngWords", "ngRegexes"]) {
+    if (src[field] === undefined) continue;
+    const list = toNgEntryList(src[field]);
+    if (!list) {
+      errors.push({ field, message: "配列で指定してください" });
+      continue;
+    }
+    if (list.length > MAX_NG_ITEMS) {
+      errors.push({ field, message: `最大 ${MAX_NG_ITEMS} 件までです` });
+      continue;
+    }
+    for (const { value, line, invalidAction } of list) {
+      if (value.length > MAX_NG_ITEM_LEN) {
+        errors.push({ field, line, value, message: `長すぎます（最大 ${MAX_NG_ITEM_LEN} 文字）` });
+      }
+      if (invalidAction) {
+        errors.push({ field, line, value, message: `不明なアクションです（${invalidAction}）` });
+      }
+      // 正規表現は1行ずつコンパイルして、壊れている行を報告する
+      if (field === "ngRegexes") {
+        try {
+          new RegExp(value, "i");
+        } catch (e) {
+          errors.push({ field, line, value, message: e.message });
+        }
+      }
+    }
+    values[field] = list.map(serializeNgEntry);
+  }
+
+  // urlPolicy は全ルーム共通のみ。domains は1行ずつ正規化（punycode化）して、読めない行を報告する
+  if (src.urlPolicy !== undefined) {
+    const up = src.urlPolicy;
+    if (allowInherit) {
+      errors.push({ field: "urlPolicy", message: "URLポリシーは共通設定でのみ変更できます" });
+    } else if (!up || typeof up !== "object" || !URL_POLICY_MODES.includes(up.mode) || !Array.isArray(up.domains)) {
+      errors.push({ field: "urlPolicy", message: "{ mode: denylist | allowlist, domains: [] } で指定してください" });
+    } else if (up.domains.length > MAX_URL_POLICY_DOMAINS) {
+      errors.push({ field: "urlPolicy", message: `最大 ${MAX_URL_POLICY_DOMAINS} 件までです` });
+    } else {
+      const domains = [];
+      up.domains.forEach((raw, i) => {
+        const value = String(raw ?? "").trim();
+        if (!value) return;
+        const host = normalizeHost(value);
+        if (!host) {
+          errors.push({ field: "urlPolicy", line: i + 1, value, message: "ドメインとして読めません" });
+          return;
+        }
+        if (!domains.includes(host)) domains.push(host);
+      });
+      values.urlPolicy = { mode: up.mode, domains };
+    }
+  }
+
+  // piiDetectors は全ルーム共通のみ。知らない検出器idは受け付けない
+  if (src.piiDetectors !== undefined) {
+    const pd = src.piiDetectors;
+    if (allowInherit) {
+      errors.push({ field: "piiDetectors", message: "個人情報の検出器は共通設定でのみ変更できます" });
+    } else if (!pd || typeof pd !== "object" || Array.isArray(pd)) {
+      errors.push({ field: "piiDetectors", message: "{ 検出器id: true / false } で指定してください" });
+    } else {
+      const toggles = {};
+      for (const [id, on] of Object.entries(pd)) {
+        if (!PII_DETECTORS.some((d) => d.id === id)) {
+          errors.push({ field: "piiDetectors", value: id, message: "不明な検出器です" });
+        } else if (typeof on !== "boolean") {
+          errors.push({ field: "piiDetectors", value: id, message: "true / false で指定してください" });
+        } else {
+          toggles[id] = on;
+        }
+      }
+      values.piiDetectors = { ...(moderation.piiDetectors || {}), ...toggles };
+    }
+  }
+
+  return { values, errors };
+}
+
+function saveModeration(next) {
+  // 一覧から消された正規表現の「自動無効化」記録は片付ける
+  next.disabledNgRegexes = (next.disabledNgRegexes || []).filter((d) => {
+    const list = d.room === null ? next.ngRegexes : next.rooms && next.rooms[d.room] && next.rooms[d.room].ngRegexes;
+    return (list || []).some((raw) => normalizeNgEntry(raw).value === d.value);
+  });
+  writeJsonSafe(MODERATION_FILE, next);
+  moderation = next;
+  compileModerationRegexes();
+}
+
+// GET /api/moderation（共通設定）
+app.get("/api/moderation", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const body = { ...MODERATION_DEFAULTS, ngRegexes: [], ngWords: [], urlPolicy: DEFAULT_URL_POLICY, ...moderation };
+  // 部屋別の上書き・自動無効化された正規表現は担当ルームの分だけ
+  if (isRoomScoped(req.adminAccount)) {
+    body.rooms = Object.fromEntries(Object.entries(body.rooms || {}).filter(([room]) => adminCanSeeRoom(req, room)));
+    body.disabledNgRegexes = (body.disabledNgRegexes || []).filter((d) => d.room && adminCanSeeRoom(req, d.room));
+  }
+  res.json(body);
+});
+
+// PUT /api/moderation { maxMsgLen, minIntervalMs, maxUrlsPerMsg, blockPII, rateBurst, dupWindowMs, dupMaxRepeats, autoMuteStrikes, autoMuteMinutes, ngWords, ngRegexes, urlPolicy, piiDetectors }
+app.put("/api/moderation", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!requireAdminGlobal(req, res)) return;
+
+  const { values, errors } = validateModerationFields(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "invalid moderation settings", errors });
+  }
+
+  try {
+    saveModeration({ ...moderation, ...values });
+  } catch (err) {
+    console.error("Failed to save moderation:", err);
+    return res.status(500).json({ error: "failed to save" });
+  }
+  auditAdmin(req, "moderation_update", { fields: Object.keys(values) });
+  res.json({ ok: true, moderation });
+});
+
+// GET /api/moderation/pii-detectors（個人情報の検出器と、それぞれのオン・オフ）
+app.get("/api/moderation/pii-detectors", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.json({
+    blockPII: moderation.blockPII ?? MODERATION_DEFAULTS.blockPII,
+    items: PII_DETECTORS.map((d) => ({
+      id: d.id,
+      label: d.label,
+      description: d.description,
+      enabled: isPiiDetectorEnabled(d.id),
+    })),
+  });
+});
+
+// POST /api/moderation/pii-test { text }（オフの検出器も含めて全部試す。送信はしない）
+app.post("/api/moderation/pii-test", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const text = String((req.body && req.body.text) || "");
+  if (!text.trim()) return res.status(400).json({ error: "text required" });
+  if (text.length > 5000) return res.status(400).json({ error: "text too long" });
+
+  const hits = detectPersonalInfo(text).map((h) => ({ ...h, enabled: isPiiDetectorEnabled(h.id) }));
+  const blocked = hits.find((h) => h.enabled) || null;
+  res.json({ hits, blocked: blocked ? blocked.id : null });
+});
+
+// GET /api/admin/flagged（flag / shadow で記録されたメッセージ）
+app.get("/api/admin/flagged", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.json({ items: (flagged.items || []).filter((it) => adminCanSeeRoom(req, it.room)) });
+});
+
+// DELETE /api/admin/flagged/:id（確認済みとして消す）
+app.delete("/api/admin/flagged/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const items = flagged.items || [];
+  const idx = items.findIndex((it) => it.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "not found" });
+  if (!requireAdminRoom(req, res, items[idx].room)) return;
+
+  const removed = items.splice(idx, 1)[0];
+  writeJsonSafe(FLAGGED_FILE, flagged);
+  auditAdmin(req, "flagged_dismiss", { room: removed.room, id: removed.id, clientId: removed.clientId });
+  res.json({ ok: true, removed });
+});
+
+// GET /api/admin/audit?kind=&rule=&room=&clientId=&ip=&admin=&q=&since=&until=&offset=&limit=
+app.get("/api/admin/audit", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const f = req.query;
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  const since = Number(f.since) || 0;
+  const until = Number(f.until) || 0;
+  const q = normalizeForCheck(str(f.q));
+  const offset = Math.max(0, Math.floor(Number(f.offset) || 0));
+  const limit = Math.min(200, Math.max(1, Math.floor(Number(f.limit) || 50)));
+
+  const scoped = isRoomScoped(req.adminAccount);
+  const filter = (e) => {
+    if (scoped && !(e.room && adminCanSeeRoom(req, e.room))) return false; // 担当ルーム以外・全体の記録は見せない
+    if (str(f.kind) && e.kind !== str(f.kind)) return false;
+    if (str(f.rule) && e.rule !== str(f.rule)) return false;
+    if (str(f.room) && e.room !== str(f.room)) return false;
+    if (str(f.clientId) && e.clientId !== str(f.clientId)) return false;
+    if (str(f.ip) && e.ip !== normalizeIp(str(f.ip))) return false;
+    if (str(f.admin) && e.admin !== str(f.admin)) return false;
+    if (since && e.at < since) return false;
+    if (until && e.at > until) return false;
+    if (q && !normalizeForCheck(JSON.stringify(e)).includes(q)) return false;
+    return true;
+  };
+
+  const { items, total } = await auditLog.query({ filter, offset, limit });
+  res.json({ items, total, offset, limit });
+});
+
+// DELETE /api/moderation/disabled-regexes { value, room }（自動無効化された正規表現を再有効化）
+app.delete("/api/moderation/disabled-regexes", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { value, room } = req.body || {};
+  const r = room ? normalizeRoomSlug(room) : null;
+  if (r ? !requireAdminRoom(req, res, r) : !requireAdminGlobal(req, res)) return;
+  const list = moderation.disabledNgRegexes || [];
+  const next = list.filter((d) => !(d.value === value && d.room === r));
+  if (next.length === list.length) return res.status(404).json({ error: "not found" });
+
+  try {
+    saveModeration({ ...moderation, disabledNgRegexes: next });
+  } catch (err) {
+    console.error("Failed to save moderation:", err);
+    return res.status(500).json({ error: "failed to save" });
+  }
+  auditAdmin(req, "regex_enable", { room: r, value });
+  res.json({ ok: true });
+});
+
+// GET /api/moderation/rooms/:room（部屋別の上書き設定 + 実効値）
+app.get("/api/moderation/rooms/:room", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const room = normalizeRoomSlug(req.params.room);
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
+
+  const overrides = (moderation.rooms && moderation.rooms[room]) || {};
+  const { rooms, ...global } = moderation;
+  res.json({ room, overrides, global: { ...MODERATION_DEFAULTS, ...global }, effective: getRoomModeration(room) });
+});
+
+// PUT /api/moderation/rooms/:room { 各項目 | null(=共通設定を使う) }
+app.put("/api/moderation/rooms/:room", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const room = normalizeRoomSlug(req.params.room);
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
+
+  const { values, errors } = validateModerationFields(req.body, { allowInherit: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "invalid moderation settings", errors });
+  }
+
+  const current = (moderation.rooms && moderation.rooms[room]) || {};
+  const overrides = { ...current, ...values };
+  for (const [k, v] of Object.entries(overrides)) {
+    if (v === null || (Array.isArray(v) && v.length === 0)) delete overrides[k];
+  }
+
+  const rooms = { ...(moderation.rooms || {}) };
+  if (Object.keys(overrides).length > 0) rooms[room] = overrides;
+  else delete rooms[room];
+
+  try {
+    saveModeration({ ...moderation, rooms });
+  } catch (err) {
+    console.error("Failed to save room moderation:", err);
+    return res.status(500).json({ error: "failed to save" });
+  }
+  auditAdmin(req, "room_moderation_update", { room, fields: Object.keys(values) });
+  res.json({ ok: true, room, overrides, effective: getRoomModeration(room) });
+});
+
+function getTimeString() {
+  return new Date().toLocaleTimeString("ja-JP", {
     timeZone: "Asia/Tokyo",
     hour: "2-digit",
     minute: "2-digit",
@@ -254,8 +1783,20 @@ function applyGenderMark(name, gender) {
 // =====================================================
 // ✅ ここが今回の肝：部屋状態管理 + emit + poll + 連投制限
 // =====================================================
-const MAX_USERS = 10;
-const INACTIVITY_LIMIT_MS = 10 * 60 * 1000;
+const MAX_USERS = ROOM_CONFIG_DEFAULTS.capacity; // 定員の既定値（ルームごとの定員は getRoomConfig(room).capacity）
+// 無操作での自動退室（INACTIVITY_LIMIT_MS で上書き可。10秒未満・数値でないものは既定値に戻す）
+const INACTIVITY_LIMIT_DEFAULT_MS = 10 * 60 * 1000;
+const INACTIVITY_LIMIT_MIN_MS = 10 * 1000;
+const INACTIVITY_LIMIT_MS = (() => {
+  const raw = process.env.INACTIVITY_LIMIT_MS;
+  if (raw === undefined || raw === "") return INACTIVITY_LIMIT_DEFAULT_MS;
+  const n = Number(raw);
+  if (Number.isFinite(n) && n >= INACTIVITY_LIMIT_MIN_MS) return Math.floor(n);
+  console.warn(`INACTIVITY_LIMIT_MS=${raw} is invalid (min ${INACTIVITY_LIMIT_MIN_MS}); using ${INACTIVITY_LIMIT_DEFAULT_MS}`);
+  return INACTIVITY_LIMIT_DEFAULT_MS;
+})();
+const INACTIVITY_WARN_BEFORE_MS = Math.min(60 * 1000, Math.floor(INACTIVITY_LIMIT_MS / 2));
+const INACTIVITY_SWEEP_INTERVAL_MS = Math.min(15 * 1000, INACTIVITY_WARN_BEFORE_MS);
 const POLL_TIMEOUT_MS = 25 * 1000;
 
 // roomStates[room] = { users, typingUsers, chatLog, lastActivityTimes, pollWaiters, nextMsgId }
@@ -267,8 +1808,20 @@ const socketClientIds = {};
 const lastLeaveByClientIdRoom = {};
 // お題ガチャのクールダウン用
 const lastTopicTimeByKey = {};
-// 連投制限用
-const lastActionTimeByKey = {};
+
+// ===========================
+// ★ 連投対策（チャット・ダイス・お題ガチャで1つのトークンバケットを共有）
+// ===========================
+const { createTokenBuckets, createDuplicateTracker, createStrikeCounter, createEventWindow } = require("./rate-limit");
+
+const TOPIC_TOKEN_COST = 2; // お題ガチャは1回でトークン2個
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+const FLOOD_EVICT_INTERVAL_MS = 60 * 1000;
+
+const rateBuckets = createTokenBuckets();
+// NG判定と同じ正規化（全角半角・区切り文字）をしてから比べる
+const dupTracker = createDuplicateTracker({ normalize: (t) => buildCheckIndex(t).norm });
+const floodStrikes = createStrikeCounter();
 
 function keyOf(room, clientId) {
   return `${room}::${clientId}`;
@@ -282,134 +1835,1459 @@ function getRoomState(room) {
       typingUsers: new Set(),    // Set<socket.id>
       chatLog: [],               // [{id,type,time,name,text,color,topic,fromId?}]
       lastActivityTimes: {},     // { socket.id: timestamp }
+      idleWarned: new Set(),     // Set<socket.id>（自動退室の予告済み）
       pollWaiters: new Set(),    // Set<{sinceId,res,timer}>
+      msgAuthors: new Map(),     // Map<msgId, { clientId, ip }>（通報用。クライアントには送らない）
       nextMsgId: 1,
+      nextShadowId: -1,          // shadow の本人向け表示の id（負の数。ログには入らない）
     });
   }
   return roomStates.get(r);
 }
 
-function touchActivity(room, socketId) {
+function touchActivity(room, socketId) {
+  const st = getRoomState(room);
+  st.lastActivityTimes[socketId] = Date.now();
+  st.idleWarned.delete(socketId);
+}
+
+function broadcastUserList(room) {
+  const st = getRoomState(room);
+  const list = Object.values(st.users).map((u) => u.name);
+  io.to(room).emit("user-list", list);
+  scheduleLobbyUpdate();
+}
+
+function broadcastTypingUsers(room) {
+  const st = getRoomState(room);
+  const names = [];
+  for (const sid of st.typingUsers) {
+    const u = st.users[sid];
+    if (u?.name) names.push(u.name);
+  }
+  io.to(room).emit("typing-users", names);
+}
+
+function flushPollWaiters(room) {
+  const st = getRoomState(room);
+  if (!st.pollWaiters || st.pollWaiters.size === 0) return;
+
+  for (const waiter of Array.from(st.pollWaiters)) {
+    const news = st.chatLog.filter((m) => m.id > waiter.sinceId);
+    if (news.length > 0) {
+      clearTimeout(waiter.timer);
+      st.pollWaiters.delete(waiter);
+      try {
+        waiter.res.json({ ok: true, messages: news, serverTime: Date.now() });
+      } catch (_) {}
+    }
+  }
+}
+
+function emitSystem(room, text) {
+  const st = getRoomState(room);
+  const msg = {
+    id: st.nextMsgId++,
+    type: "system",
+    time: getTimeString(),
+    text: String(text || ""),
+  };
+
+  st.chatLog.push(msg);
+  if (st.chatLog.length > 50) st.chatLog.shift();
+
+  io.to(room).emit("system-message", msg);
+  emitMonitor(room, "system", { msg });
+  flushPollWaiters(room);
+}
+
+function emitLog(type, payload, meta = {}) {
+  const room = normalizeRoomSlug(meta.room || "main");
+  const st = getRoomState(room);
+
+  const msg = {
+    id: st.nextMsgId++,
+    type: type || "chat",
+    time: getTimeString(),
+    ...payload,
+  };
+
+  // 送信者socket.id（自分判定用）
+  if (meta.fromId) {
+    msg.fromId = meta.fromId;
+    const s = io.sockets.sockets.get(meta.fromId);
+    st.msgAuthors.set(msg.id, {
+      clientId: socketClientIds[meta.fromId] || null,
+      ip: s ? getSocketIp(s) : null,
+    });
+  }
+
+  st.chatLog.push(msg);
+  if (st.chatLog.length > 50) st.msgAuthors.delete(st.chatLog.shift().id);
+
+  io.to(room).emit("chat-message", msg);
+  emitMonitor(room, "message", { msg: monitorMessage(room, msg), socketId: meta.fromId || null });
+  flushPollWaiters(room);
+  return msg;
+}
+
+// メッセージ削除
+// - chatLog 内の本体は墓標 { type: "deleted" } に置き換える（/api/log で再同期しても本文は戻らない）
+// - 削除イベント { type: "message-deleted", targetId } を新しい id で積む（/api/poll の since で拾える）
+// - socket には "message-deleted" を送る
+const DELETED_TYPES = ["deleted", "message-deleted"];
+
+function deleteLogMessage(room, msgId) {
+  const st = getRoomState(room);
+  const idx = st.chatLog.findIndex((m) => m.id === msgId);
+  if (idx === -1) return false;
+
+  const orig = st.chatLog[idx];
+  if (orig.type === "system" || orig.type === "log-cleared" || DELETED_TYPES.includes(orig.type)) return false;
+
+  st.chatLog[idx] = { id: orig.id, type: "deleted", time: orig.time, name: orig.name };
+  st.msgAuthors.delete(msgId);
+
+  st.chatLog.push({ id: st.nextMsgId++, type: "message-deleted", time: getTimeString(), targetId: msgId });
+  if (st.chatLog.length > 50) st.msgAuthors.delete(st.chatLog.shift().id);
+
+  io.to(room).emit("message-deleted", { id: msgId });
+  emitMonitor(room, "deleted", { targetId: msgId });
+  flushPollWaiters(room);
+  return true;
+}
+
+// 戻り値: 0 = 許可 / それ以外 = 待ち時間ms
+function checkRateLimit(room, clientId, cost = 1) {
+  const policy = getRoomModeration(room);
+  return rateBuckets.take(keyOf(room, clientId || "anon"), {
+    burst: Number(policy.rateBurst),
+    refillMs: Number(policy.minIntervalMs),
+    cost,
+  });
+}
+
+// 戻り値: true = 同じ（似た）内容の繰り返しなので拒否
+function checkDuplicate(room, clientId, text) {
+  const policy = getRoomModeration(room);
+  return dupTracker.check(keyOf(room, clientId || "anon"), text, {
+    windowMs: Number(policy.dupWindowMs),
+    maxRepeats: Number(policy.dupMaxRepeats),
+  }).duplicate;
+}
+
+// 連投・重複の違反を数えて、警告 → 自動ミュートと段階的に重くする
+function addFloodStrike(socket, room, rule) {
+  const policy = getRoomModeration(room);
+  const muteAt = Number(policy.autoMuteStrikes);
+  if (muteAt <= 0) return;
+
+  const clientId = socketClientIds[socket.id] || socket.id;
+  const count = floodStrikes.add(clientId, { windowMs: STRIKE_WINDOW_MS });
+  if (count === null) return;
+
+  if (count < muteAt) {
+    if (count >= muteAt - 2) {
+      socket.emit("system-message", {
+        time: getTimeString(),
+        text: `連投・同じ内容の繰り返しが続いています。あと ${muteAt - count} 回で自動的にミュートされます。`,
+      });
+    }
+    return;
+  }
+
+  floodStrikes.reset(clientId);
+  const minutes = Number(policy.autoMuteMinutes);
+  // 数えたのはこの部屋の設定なので、ミュートもこの部屋だけ
+  addMute("clientId", clientId, { reason: `自動ミュート（${rule}）`, expiresAt: Date.now() + minutes * 60 * 1000, room });
+  auditDecision(socket, "auto_mute", { room, detail: { rule, strikes: count, minutes } });
+  notifyMuteStatus();
+}
+
+// 使われなくなった連投対策の状態を捨てる
+function evictFloodState() {
+  const now = Date.now();
+  rateBuckets.evict(now);
+  dupTracker.evict(now);
+  floodStrikes.evict(now);
+  for (const [k, at] of Object.entries(lastTopicTimeByKey)) {
+    if (now - at >= TOPIC_COOLDOWN_MS) delete lastTopicTimeByKey[k];
+  }
+  for (const [clientId, list] of Object.entries(reportTimesByClientId)) {
+    if (!list.some((t) => now - t < REPORT_LIMIT_WINDOW_MS)) delete reportTimesByClientId[clientId];
+  }
+  joinBuckets.evict(now);
+  raidEvents.evict(RAID_WINDOW_MS, now);
+}
+
+// ===========================
+// ★ 荒らし（レイド）対策：入室の回数制限・IPごとの同時接続数・自動ロックダウン
+// ===========================
+const JOIN_IP_BURST = 3; // 同じIPから続けて入室できる回数
+const JOIN_IP_REFILL_MS = 20 * 1000;
+const JOIN_ROOM_BURST = MAX_USERS; // サーバ再起動後の一斉再接続は通す
+const JOIN_ROOM_REFILL_MS = 3 * 1000;
+const MAX_SOCKETS_PER_IP = Number(process.env.MAX_SOCKETS_PER_IP) || 6;
+
+// RAID_WINDOW_MS 以内に「入室の試み」か「拒否されたメッセージ」が閾値を超えたら自動ロック
+const RAID_WINDOW_MS = 60 * 1000;
+const RAID_JOIN_THRESHOLD = MAX_USERS * 2;
+const RAID_JOIN_MIN_IPS = 3; // 1つの回線からの連打ではロックしない
+const RAID_BLOCKED_THRESHOLD = 20;
+const RAID_BLOCKED_MIN_CLIENTS = 3; // 1人の連打ではロックしない
+const LOCKDOWN_COOLDOWN_MS = 10 * 60 * 1000;
+
+// 「拒否されたメッセージ」として数える判定（auditDecision の rule）
+const RAID_BLOCKED_RULES = new Set([
+  "too_long",
+  "pii",
+  "ng_reject",
+  "url_count",
+  "url_domain",
+  "rate_limit",
+  "duplicate",
+  "muted",
+]);
+
+const joinBuckets = createTokenBuckets();
+const raidEvents = createEventWindow();
+// ip -> 接続中のソケット数
+const socketCountByIp = new Map();
+// room -> { reason, auto, lockedAt, until(null = 解除まで), by }
+const roomLocks = new Map();
+
+// ロック中ならその情報（期限切れは解除して通知）
+function getRoomLock(room) {
+  const lock = roomLocks.get(room);
+  if (!lock) return null;
+  if (lock.until && lock.until <= Date.now()) {
+    roomLocks.delete(room);
+    emitSystem(room, "入室制限が解除されました。");
+    return null;
+  }
+  return lock;
+}
+
+function lockRoom(room, { reason = "", minutes = null, auto = false, by = null } = {}) {
+  const now = Date.now();
+  const lock = {
+    reason: String(reason || "").trim().slice(0, 200),
+    auto,
+    lockedAt: now,
+    until: minutes ? now + minutes * 60 * 1000 : null,
+    by,
+  };
+  roomLocks.set(room, lock);
+  emitSystem(room, "荒らし対策のため、この部屋への新規入室を一時的に制限しています。");
+  return lock;
+}
+
+function unlockRoom(room) {
+  if (!roomLocks.delete(room)) return false;
+  raidEvents.reset(`join::${room}`);
+  raidEvents.reset(`blocked::${room}`);
+  emitSystem(room, "入室制限が解除されました。");
+  return true;
+}
+
+function autoLockRoom(room, rule, detail) {
+  if (getRoomLock(room)) return;
+  const lock = lockRoom(room, { reason: rule, minutes: LOCKDOWN_COOLDOWN_MS / 60000, auto: true });
+  auditLog.append({ kind: "system", rule: "room_lockdown", room, detail: { trigger: rule, ...detail, until: lock.until } });
+  console.warn(`[${room}] auto lockdown (${rule})`);
+}
+
+// 入室の試み（BAN・IPごとの回数制限を通ったもの。部屋の回数制限・合言葉で断られたものは含む）
+// clientId は参加者が自由に送れるので、種類は IP で数える
+function noteJoinAttempt(room, ip) {
+  const { count, distinct } = raidEvents.record(`join::${room}`, { windowMs: RAID_WINDOW_MS, tag: ip });
+  if (count >= RAID_JOIN_THRESHOLD && distinct >= RAID_JOIN_MIN_IPS) {
+    autoLockRoom(room, "join_spike", { joins: count, ips: distinct });
+  }
+}
+
+function noteBlockedMessage(room, clientId) {
+  const { count, distinct } = raidEvents.record(`blocked::${room}`, { windowMs: RAID_WINDOW_MS, tag: clientId });
+  if (count >= RAID_BLOCKED_THRESHOLD && distinct >= RAID_BLOCKED_MIN_CLIENTS) {
+    autoLockRoom(room, "blocked_spike", { blocked: count, clients: distinct });
+  }
+}
+
+// 入室を拒否する理由（なければ null）
+function checkJoinAllowed(room, clientId, ip) {
+  const lock = getRoomLock(room);
+  if (lock) {
+    // 直前までこの部屋にいた人（再接続など）は通す
+    const lastLeave = (lastLeaveByClientIdRoom[clientId] || {})[room];
+    if (!(lastLeave && lastLeave >= lock.lockedAt)) return { rule: "room_locked", lock };
+  }
+
+  const ipWait = joinBuckets.take(`ip::${ip}`, { burst: JOIN_IP_BURST, refillMs: JOIN_IP_REFILL_MS });
+  if (ipWait > 0) return { rule: "join_rate_ip", waitMs: ipWait };
+  noteJoinAttempt(room, ip);
+
+  const roomWait = joinBuckets.take(`room::${room}`, { burst: JOIN_ROOM_BURST, refillMs: JOIN_ROOM_REFILL_MS });
+  if (roomWait > 0) return { rule: "join_rate_room", waitMs: roomWait };
+
+  return null;
+}
+
+// GET /api/admin/locks（部屋ごとのロック状態）
+app.get("/api/admin/locks", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const rooms = listRoomSlugs()
+    .filter((room) => adminCanSeeRoom(req, room))
+    .map((room) => ({ room, lock: getRoomLock(room) }));
+  res.json({ rooms });
+});
+
+// POST /api/admin/rooms/:room/lock { minutes(0/省略 = 解除するまで), reason }
+app.post("/api/admin/rooms/:room/lock", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const room = normalizeRoomSlug(req.params.room);
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
+
+  const { minutes, reason } = req.body || {};
+  const min = clampMinutes(minutes);
+  if (min === null) return res.status(400).json({ error: "invalid minutes" });
+
+  const lock = lockRoom(room, { reason, minutes: min || null, by: getAdminActor(req) });
+  auditAdmin(req, "room_lock", { room, reason: lock.reason, until: lock.until });
+  res.json({ ok: true, room, lock });
+});
+
+// DELETE /api/admin/rooms/:room/lock
+app.delete("/api/admin/rooms/:room/lock", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const room = normalizeRoomSlug(req.params.room);
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
+  if (!unlockRoom(room)) return res.status(404).json({ error: "room not locked" });
+
+  auditAdmin(req, "room_unlock", { room });
+  res.json({ ok: true, room });
+});
+
+// 入室中ユーザーを部屋から外して退室を通知する（leave / 自動退室 共通）
+function leaveRoom(socket, room, makeText) {
+  const st = getRoomState(room);
+  const user = st.users[socket.id];
+  if (!user) return false;
+
+  const leftName = user.name;
+
+  const clientId = socketClientIds[socket.id];
+  if (clientId) {
+    lastLeaveByClientIdRoom[clientId] = lastLeaveByClientIdRoom[clientId] || {};
+    lastLeaveByClientIdRoom[clientId][room] = Date.now();
+    delete socketClientIds[socket.id];
+  }
+
+  delete st.users[socket.id];
+  st.typingUsers.delete(socket.id);
+  st.idleWarned.delete(socket.id);
+  delete st.lastActivityTimes[socket.id];
+
+  socket.leave(room);
+  emitMonitor(room, "leave", { socketId: socket.id, clientId: clientId || null, name: leftName });
+  emitSystem(room, makeText(leftName));
+
+  broadcastUserList(room);
+  broadcastTypingUsers(room);
+
+  if (Object.keys(st.users).length === 0) {
+    st.chatLog.length = 0;
+    st.msgAuthors.clear();
+    st.typingUsers.clear();
+    console.log(`[${room}] All users left. chatLog cleared.`);
+  }
+  return true;
+}
+
+// ===========================
+// ★ 無操作ユーザーの自動退室（部屋別に巡回）
+// ===========================
+function sweepIdleUsers() {
+  const now = Date.now();
+  const limitMin = Math.round(INACTIVITY_LIMIT_MS / 60000);
+
+  for (const [room, st] of roomStates) {
+    for (const socketId of Object.keys(st.users)) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (!socket) continue; // 切断処理は disconnect 側に任せる
+
+      // ミュート中は発言・ダイス・入力中表示ができず操作のしようがないので、読んでいるだけでも退室させない
+      // （解除されたときから改めて数える）
+      if (getMuteStatus(socket).muted) {
+        st.lastActivityTimes[socketId] = now;
+        st.idleWarned.delete(socketId);
+        continue;
+      }
+
+      const last = st.lastActivityTimes[socketId] || now;
+      const idleMs = now - last;
+
+      if (idleMs >= INACTIVITY_LIMIT_MS) {
+        const ok = leaveRoom(socket, room, (name) =>
+          `「${name}」さんは${limitMin}分間操作がなかったため退室しました。`
+        );
+        if (ok) socket.emit("force-leave", { idleMs: INACTIVITY_LIMIT_MS });
+        continue;
+      }
+
+      if (idleMs >= INACTIVITY_LIMIT_MS - INACTIVITY_WARN_BEFORE_MS && !st.idleWarned.has(socketId)) {
+        st.idleWarned.add(socketId);
+        socket.emit("idle-warning", { remainingMs: INACTIVITY_LIMIT_MS - idleMs });
+      }
+    }
+  }
+}
+setInterval(sweepIdleUsers, INACTIVITY_SWEEP_INTERVAL_MS);
+setInterval(evictFloodState, FLOOD_EVICT_INTERVAL_MS);
+
+function getRoomFromHandshake(socket) {
+  try {
+    const ref = socket.handshake.headers.referer || "";
+    const m = String(ref).match(/\/r\/([^\/\?#]+)/);
+    return normalizeRoomSlug(m ? m[1] : "main");
+  } catch (_) {
+    return "main";
+  }
+}
+
+// ===========================
+// ★ BAN管理API（全ルーム共通。担当ルームのあるアカウントが付けたものはそのルームだけ）
+// ===========================
+const BAN_TYPES = ["clientId", "ip"];
+
+function clampMinutes(minutes) {
+  const m = Number(minutes ?? 0);
+  if (!Number.isFinite(m) || m < 0 || m > 60 * 24 * 365) return null;
+  return Math.floor(m);
+}
+
+// room: そのルームだけに効くBAN（null なら全ルーム）
+function addBan(type, value, { reason = "", expiresAt = null, room = null } = {}) {
+  const item = {
+    id: uid(),
+    type,
+    value,
+    room: room || null,
+    reason: String(reason || "").trim().slice(0, 200),
+    createdAt: Date.now(),
+    expiresAt: expiresAt || null,
+  };
+  banlist.items = banlist.items || [];
+  banlist.items.push(item);
+  invalidateBanIndex();
+  writeJsonSafe(BANLIST_FILE, banlist);
+  return item;
+}
+
+// 端末ID（BAN・ミュート・通報などのキーになり、ファイルにも保存されるので形式を限る）
+const CLIENT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+function normalizeClientId(value) {
+  return typeof value === "string" && CLIENT_ID_RE.test(value) ? value : null;
+}
+
+// 入室中の全ユーザー（全ルーム）
+function listOnlineUsers() {
+  const users = [];
+  for (const [room, st] of roomStates) {
+    for (const [socketId, u] of Object.entries(st.users)) {
+      const s = io.sockets.sockets.get(socketId);
+      users.push({
+        socketId,
+        clientId: socketClientIds[socketId] || null,
+        ip: s ? getSocketIp(s) : "",
+        room,
+        name: u.name,
+      });
+    }
+  }
+  return users;
+}
+
+// BAN対象になった入室中ソケットを退出させる
+function kickSocket(socket, noticeText) {
+  const room = socket.data.roomSlug;
+  const user = room ? getRoomState(room).users[socket.id] : null;
+
+  try {
+    socket.emit("system-message", { time: getTimeString(), text: noticeText });
+  } catch (_) {}
+
+  if (user) emitSystem(room, `「${user.name}」さんが退室させられました。`);
+  socket.disconnect(true);
+}
+
+function kickBannedSockets() {
+  for (const u of listOnlineUsers()) {
+    if (!isBanned(u.clientId, u.ip, u.room)) continue;
+    const s = io.sockets.sockets.get(u.socketId);
+    if (!s) continue;
+    auditDecision(s, "kick_banned", { room: u.room });
+    kickSocket(s, "この端末（または回線）はBANされました。");
+  }
+}
+
+// 担当ルームのあるアカウントが付けるBAN・ミュートは、そのルームだけに効かせる
+function restrictionRoomFor(account, room) {
+  return isRoomScoped(account) ? room : null;
+}
+
+// 全ルームに効くBAN・ミュートは、担当ルームの無いアカウントだけが見たり外したりできる
+function adminCanManageRestriction(req, item) {
+  return item.room ? canAccessRoom(req.adminAccount, item.room) : !isRoomScoped(req.adminAccount);
+}
+
+// GET /api/ban
+app.get("/api/ban", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  cleanupExpiredBans();
+  res.json({ items: (banlist.items || []).filter((it) => adminCanManageRestriction(req, it)) });
+});
+
+// POST /api/ban { type, value, reason, expiresAt }
+app.post("/api/ban", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!requireAdminGlobal(req, res)) return;
+
+  const { type, value, reason, expiresAt } = req.body || {};
+  if (!BAN_TYPES.includes(type)) return res.status(400).json({ error: "invalid type" });
+
+  let v = String(value ?? "").trim();
+  if (!v || v.length > 200) return res.status(400).json({ error: "invalid value" });
+
+  // ip は単体IP / CIDR（IPv4, IPv6）を受け付けて正規化して保存
+  if (type === "ip") {
+    const c = parseCidr(v);
+    if (!c) return res.status(400).json({ error: "invalid ip or cidr" });
+    v = formatCidr(c);
+  }
+
+  let exp = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    exp = Number(expiresAt);
+    if (!Number.isFinite(exp) || exp <= Date.now()) {
+      return res.status(400).json({ error: "invalid expiresAt" });
+    }
+  }
+
+  const item = addBan(type, v, { reason, expiresAt: exp });
+  auditAdmin(req, "ban_add", { banId: item.id, type, value: v, reason: item.reason, expiresAt: exp });
+  kickBannedSockets();
+  res.status(201).json(item);
+});
+
+// DELETE /api/ban/:id
+app.delete("/api/ban/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const items = banlist.items || [];
+  const idx = items.findIndex((it) => it.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "ban not found" });
+  if (!adminCanManageRestriction(req, items[idx])) return res.status(403).json({ error: "room not allowed" });
+
+  const removed = items.splice(idx, 1)[0];
+  invalidateBanIndex();
+  writeJsonSafe(BANLIST_FILE, banlist);
+  auditAdmin(req, "ban_remove", { banId: removed.id, room: removed.room || null, type: removed.type, value: removed.value });
+  res.json({ ok: true, removed });
+});
+
+// GET /api/admin/online
+app.get("/api/admin/online", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.json({ users: listOnlineUsers().filter((u) => adminCanSeeRoom(req, u.room)) });
+});
+
+// POST /api/ban/online { socketId, mode: "clientId"|"ip"|"ipRange"|"both", minutes, reason }
+// ipRange: IPv4 は /24、IPv6 は /64 単位でBAN
+app.post("/api/ban/online", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { socketId, mode, minutes, reason } = req.body || {};
+  if (!["clientId", "ip", "ipRange", "both"].includes(mode)) {
+    return res.status(400).json({ error: "invalid mode" });
+  }
+
+  const target = listOnlineUsers().find((u) => u.socketId === socketId);
+  if (!target) return res.status(404).json({ error: "user not online" });
+  if (!requireAdminRoom(req, res, target.room)) return;
+
+  const min = clampMinutes(minutes);
+  if (min === null) return res.status(400).json({ error: "invalid minutes" });
+  const expiresAt = min > 0 ? Date.now() + min * 60 * 1000 : null;
+  const room = restrictionRoomFor(req.adminAccount, target.room);
+
+  const added = [];
+  if ((mode === "clientId" || mode === "both") && target.clientId) {
+    added.push(addBan("clientId", target.clientId, { reason, expiresAt, room }));
+  }
+  if ((mode === "ip" || mode === "both") && target.ip) {
+    added.push(addBan("ip", target.ip, { reason, expiresAt, room }));
+  }
+  if (mode === "ipRange" && target.ip) {
+    const c = parseCidr(target.ip);
+    if (c) {
+      const range = parseCidr(`${target.ip}/${c.version === 4 ? 24 : 64}`);
+      added.push(addBan("ip", formatCidr(range), { reason, expiresAt, room }));
+    }
+  }
+  if (added.length === 0) return res.status(400).json({ error: "nothing to ban" });
+
+  auditAdmin(req, "ban_online", {
+    room: target.room,
+    name: target.name,
+    clientId: target.clientId,
+    ip: target.ip,
+    mode,
+    bans: added.map((it) => ({ banId: it.id, type: it.type, value: it.value })),
+    reason: added[0].reason,
+    expiresAt,
+  });
+
+  const s = io.sockets.sockets.get(socketId);
+  if (s) kickSocket(s, "管理者によりBANされました。");
+  kickBannedSockets();
+
+  res.json({ ok: true, items: added });
+});
+
+// ===========================
+// ★ ミュート管理API（全ルーム共通・期限必須。担当ルームのあるアカウントが付けたものはそのルームだけ）
+// ===========================
+const MUTE_TYPES = ["clientId", "ip"];
+
+function addMute(type, value, { reason = "", expiresAt, room = null }) {
+  const item = {
+    id: uid(),
+    type,
+    value,
+    room: room || null,
+    reason: String(reason || "").trim().slice(0, 200),
+    createdAt: Date.now(),
+    expiresAt,
+  };
+  mutelist.items = mutelist.items || [];
+  mutelist.items.push(item);
+  invalidateMuteIndex();
+  writeJsonSafe(MUTELIST_FILE, mutelist);
+  return item;
+}
+
+function getMuteStatus(socket) {
+  const mute = findMute(socketClientIds[socket.id], getSocketIp(socket), socket.data.roomSlug);
+  if (!mute) return { muted: false };
+  return { muted: true, remainingMs: mute.expiresAt - Date.now(), reason: mute.reason };
+}
+
+function formatRemaining(ms) {
+  const sec = Math.max(1, Math.ceil(ms / 1000));
+  const m = Math.floor(sec / 60);
+  return m > 0 ? `${m}分${sec % 60}秒` : `${sec}秒`;
+}
+
+// ミュート中なら通知して true（quiet: 入力中表示のように頻繁な操作はお知らせを出さない）
+function refuseIfMuted(socket, action, { quiet = false } = {}) {
+  const status = getMuteStatus(socket);
+  if (!status.muted) return false;
+
+  socket.emit("mute-status", status);
+  if (!quiet) {
+    auditDecision(socket, "muted", { room: socket.data.roomSlug, detail: { action, remainingMs: status.remainingMs } });
+    socket.emit("system-message", {
+      time: getTimeString(),
+      text: `ミュート中のため操作できません（あと ${formatRemaining(status.remainingMs)}）。`,
+    });
+  }
+  return true;
+}
+
+// ミュートの追加・解除を入室中のソケットへ反映する
+function notifyMuteStatus() {
+  for (const u of listOnlineUsers()) {
+    const s = io.sockets.sockets.get(u.socketId);
+    if (!s) continue;
+    const status = getMuteStatus(s);
+    if (status.muted) {
+      const st = getRoomState(u.room);
+      if (st.typingUsers.delete(u.socketId)) broadcastTypingUsers(u.room);
+    }
+    s.emit("mute-status", status);
+  }
+}
+
+function parseMuteMinutes(minutes) {
+  const min = clampMinutes(minutes);
+  return min === null || min === 0 ? null : min;
+}
+
+// GET /api/mute
+app.get("/api/mute", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  cleanupExpiredMutes();
+  res.json({ items: (mutelist.items || []).filter((it) => adminCanManageRestriction(req, it)) });
+});
+
+// POST /api/mute { type, value, minutes, reason }
+app.post("/api/mute", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!requireAdminGlobal(req, res)) return;
+
+  const { type, value, minutes, reason } = req.body || {};
+  if (!MUTE_TYPES.includes(type)) return res.status(400).json({ error: "invalid type" });
+
+  let v = String(value ?? "").trim();
+  if (!v || v.length > 200) return res.status(400).json({ error: "invalid value" });
+
+  if (type === "ip") {
+    const c = parseCidr(v);
+    if (!c) return res.status(400).json({ error: "invalid ip or cidr" });
+    v = formatCidr(c);
+  }
+
+  const min = parseMuteMinutes(minutes);
+  if (min === null) return res.status(400).json({ error: "invalid minutes" });
+
+  const item = addMute(type, v, { reason, expiresAt: Date.now() + min * 60 * 1000 });
+  auditAdmin(req, "mute_add", { muteId: item.id, type, value: v, reason: item.reason, expiresAt: item.expiresAt });
+  notifyMuteStatus();
+  res.status(201).json(item);
+});
+
+// DELETE /api/mute/:id
+app.delete("/api/mute/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const items = mutelist.items || [];
+  const idx = items.findIndex((it) => it.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "mute not found" });
+  if (!adminCanManageRestriction(req, items[idx])) return res.status(403).json({ error: "room not allowed" });
+
+  const removed = items.splice(idx, 1)[0];
+  invalidateMuteIndex();
+  writeJsonSafe(MUTELIST_FILE, mutelist);
+  auditAdmin(req, "mute_remove", { muteId: removed.id, room: removed.room || null, type: removed.type, value: removed.value });
+  notifyMuteStatus();
+  res.json({ ok: true, removed });
+});
+
+// POST /api/mute/online { socketId, mode: "clientId"|"ip"|"both", minutes, reason }
+app.post("/api/mute/online", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { socketId, mode, minutes, reason } = req.body || {};
+  if (!["clientId", "ip", "both"].includes(mode)) {
+    return res.status(400).json({ error: "invalid mode" });
+  }
+
+  const target = listOnlineUsers().find((u) => u.socketId === socketId);
+  if (!target) return res.status(404).json({ error: "user not online" });
+  if (!requireAdminRoom(req, res, target.room)) return;
+
+  const min = parseMuteMinutes(minutes);
+  if (min === null) return res.status(400).json({ error: "invalid minutes" });
+  const expiresAt = Date.now() + min * 60 * 1000;
+  const room = restrictionRoomFor(req.adminAccount, target.room);
+
+  const added = [];
+  if ((mode === "clientId" || mode === "both") && target.clientId) {
+    added.push(addMute("clientId", target.clientId, { reason, expiresAt, room }));
+  }
+  if ((mode === "ip" || mode === "both") && target.ip) {
+    added.push(addMute("ip", target.ip, { reason, expiresAt, room }));
+  }
+  if (added.length === 0) return res.status(400).json({ error: "nothing to mute" });
+
+  auditAdmin(req, "mute_online", {
+    room: target.room,
+    name: target.name,
+    clientId: target.clientId,
+    ip: target.ip,
+    mode,
+    mutes: added.map((it) => ({ muteId: it.id, type: it.type, value: it.value })),
+    reason: added[0].reason,
+    expiresAt,
+  });
+
+  notifyMuteStatus();
+  res.json({ ok: true, items: added });
+});
+
+// ===========================
+// ★ チャット内モデレーター（/kick /mute /ban /clear /lock を発言欄から使える参加者）
+// ===========================
+// 管理者が clientId ごとにトークンを発行し、参加者は発言欄で「/auth <トークン>」と送って有効にする。
+// トークンは chat-moderators.json にハッシュだけ保存（発行時に1回だけ表示）。
+// 権限は使うたびに発行した管理アカウントから決める（アカウント削除・ロール変更・担当ルーム変更がすぐ効く）
+const CHAT_MODS_FILE = path.join(__dirname, "chat-moderators.json");
+let chatMods = readJsonSafe(CHAT_MODS_FILE, { items: [] });
+
+// トークンの総当たり対策：同じIPから10分で5回間違えたら10分ロック
+const chatModAuthGuard = createLoginGuard({ maxFailures: 5, windowMs: 10 * 60 * 1000, lockMs: 10 * 60 * 1000 });
+setInterval(() => chatModAuthGuard.evict(), 60 * 1000);
+
+function saveChatMods() {
+  writeJsonSafe(CHAT_MODS_FILE, chatMods);
+}
+
+function hashChatModToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function publicChatMod(item) {
+  const { tokenHash, ...rest } = item;
+  const issuer = findAdminAccount((a) => a.id === item.accountId);
+  const online = Array.from(io.sockets.sockets.values()).some((s) => s.data.chatMod === item.id);
+  return { ...rest, issuer: issuer ? issuer.name : null, online };
+}
+
+// 管理者がこのトークンを扱えるか（担当ルームのあるアカウントは、担当ルーム内に限ったトークンだけ）
+function adminCanManageChatMod(req, item) {
+  if (!isRoomScoped(req.adminAccount)) return true;
+  return item.rooms.length > 0 && item.rooms.every((r) => canAccessRoom(req.adminAccount, r));
+}
+
+// 戻り値: { item, account } / null（失効・担当外）
+function getChatMod(socket, room) {
+  const id = socket.data.chatMod;
+  if (!id) return null;
+  const item = (chatMods.items || []).find((it) => it.id === id);
+  if (!item || item.clientId !== socketClientIds[socket.id]) return null;
+
+  const account = findAdminAccount((a) => a.id === item.accountId);
+  if (!account || !hasPermission(account, "moderation")) return null;
+  if (item.rooms.length > 0 && !item.rooms.includes(room)) return null;
+  if (!canAccessRoom(account, room)) return null;
+  return { item, account };
+}
+
+function auditChatMod(socket, mod, action, detail = {}) {
+  auditLog.append({
+    kind: "admin",
+    rule: action,
+    room: socket.data.roomSlug || null,
+    admin: mod.account.name,
+    ip: getSocketIp(socket),
+    detail: { chatModId: mod.item.id, label: mod.item.label, clientId: mod.item.clientId, ...detail },
+  });
+}
+
+function emitModStatus(socket) {
+  const room = socket.data.roomSlug;
+  const mod = room ? getChatMod(socket, room) : null;
+  socket.emit("mod-status", mod ? { active: true, label: mod.item.label } : { active: false });
+}
+
+// トークンを確認して socket をモデレーターにする（quiet: 再接続時の自動認証。成功・失敗のお知らせを出さない）
+function authChatMod(socket, token, { quiet = false } = {}) {
+  const reply = (text) => socket.emit("system-message", { time: getTimeString(), text });
+  const room = socket.data.roomSlug;
+  if (!room || !getRoomState(room).users[socket.id]) return;
+
+  // ロック中はトークンを照合しない（保存済みのトークンが正しいかもしれないので invalid も返さない）
+  const ip = getSocketIp(socket);
+  const lockedMs = chatModAuthGuard.lockedFor(ip);
+  if (lockedMs > 0) {
+    if (!quiet) reply(`認証の失敗が続いたため、しばらく /auth を使えません（あと${formatRemaining(lockedMs)}）。`);
+    return;
+  }
+
+  const hash = hashChatModToken(String(token ?? "").trim());
+  const item = (chatMods.items || []).find((it) => safeEqual(it.tokenHash, hash));
+  if (!item || item.clientId !== socketClientIds[socket.id]) {
+    chatModAuthGuard.fail(ip);
+    auditDecision(socket, "mod_auth_failed", { room });
+    socket.emit("mod-status", { active: false, invalid: true });
+    if (!quiet) reply("モデレーターのトークンが正しくありません（発行したときの端末でのみ使えます）。");
+    return;
+  }
+  chatModAuthGuard.succeed(ip);
+
+  socket.data.chatMod = item.id;
+  const mod = getChatMod(socket, room);
+  if (!mod) {
+    socket.emit("mod-status", { active: false });
+    reply("この部屋ではモデレーター権限がありません。");
+    return;
+  }
+
+  auditChatMod(socket, mod, "mod_auth");
+  emitModStatus(socket);
+  if (!quiet) reply("モデレーターとして認証しました。「/help」でコマンド一覧を表示します。");
+}
+
+// "10m" / "2h" / "1d" / "30"（分）→ 分。不正なら null
+function parseChatModDuration(s) {
+  const m = String(s || "").match(/^(\d{1,6})(m|h|d|分|時間|日)?$/i);
+  if (!m) return null;
+  const unit = (m[2] || "m").toLowerCase();
+  const mult = unit === "h" || unit === "時間" ? 60 : unit === "d" || unit === "日" ? 60 * 24 : 1;
+  const min = clampMinutes(Number(m[1]) * mult);
+  return min === null || min === 0 ? null : min;
+}
+
+function formatMinutes(min) {
+  if (min % (60 * 24) === 0) return `${min / (60 * 24)}日`;
+  if (min % 60 === 0) return `${min / 60}時間`;
+  return `${min}分`;
+}
+
+// 引数の最後が期間なら切り出す（名前に空白が入っていてもよいように残りを名前にする）
+function splitNameAndDuration(args) {
+  if (args.length > 1) {
+    const min = parseChatModDuration(args[args.length - 1]);
+    if (min !== null) return { name: args.slice(0, -1).join(" "), minutes: min };
+  }
+  return { name: args.join(" "), minutes: null };
+}
+
+// st.users から名前で探す。完全一致 → 性別マーク（♂/♀）を除いた名前で一致
+// 戻り値: { socket, user, clientId } / { error }
+function findUserByName(room, name) {
+  const n = String(name || "").trim();
+  if (!n) return { error: "名前を指定してください。" };
+
+  const entries = Object.entries(getRoomState(room).users);
+  let hits = entries.filter(([, u]) => u.name === n);
+  if (hits.length === 0) hits = entries.filter(([, u]) => u.name.replace(/[♂♀]$/, "") === n);
+  if (hits.length === 0) return { error: `「${n}」さんはこの部屋にいません。` };
+  if (hits.length > 1) return { error: `「${n}」さんが複数います。性別マーク（♂/♀）まで含めて指定してください。` };
+
+  const [socketId, user] = hits[0];
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return { error: `「${n}」さんはこの部屋にいません。` };
+  return { socket, user, clientId: socketClientIds[socketId] || null };
+}
+
+// ログを空にする。{ type: "log-cleared" } を積んで、/api/poll 側でも画面を消せるようにする
+function clearRoomLog(room) {
+  const st = getRoomState(room);
+  st.chatLog = [];
+  st.msgAuthors.clear();
+
+  const item = { id: st.nextMsgId++, type: "log-cleared", time: getTimeString() };
+  st.chatLog.push(item);
+  io.to(room).emit("log-cleared", { id: item.id });
+  emitMonitor(room, "cleared");
+  flushPollWaiters(room);
+}
+
+const CHAT_MOD_HELP = [
+  "モデレーターコマンド:",
+  "/kick 名前 … 退室させる",
+  "/mute 名前 [10m|2h|1d] … 発言を止める（省略時10分）",
+  "/ban 名前 [期間] … BANして退室させる（省略時は無期限）",
+  "/clear … この部屋のログを消去",
+  "/lock [期間] / /unlock … 新規入室の制限・解除",
+].join("\n");
+
+// 発言欄のコマンドを処理したら true（false なら通常の発言として扱う）
+function handleChatModCommand(socket, room, text) {
+  if (!text.startsWith("/")) return false;
+  const [cmd, ...args] = text.slice(1).split(/\s+/);
+  const command = cmd.toLowerCase();
+
+  // トークンが流れないよう /auth は誰が送っても発言にしない
+  if (command === "auth") {
+    authChatMod(socket, args.join(" "));
+    return true;
+  }
+
+  const mod = getChatMod(socket, room);
+  if (!mod) return false;
+
+  const reply = (t) => socket.emit("system-message", { time: getTimeString(), text: t });
+  const reason = `モデレーター（${mod.item.label}）`;
+
+  if (command === "help") {
+    reply(CHAT_MOD_HELP);
+    return true;
+  }
+
+  if (command === "kick" || command === "mute" || command === "ban") {
+    const { name, minutes } = command === "kick" ? { name: args.join(" "), minutes: null } : splitNameAndDuration(args);
+    const target = findUserByName(room, name);
+    if (target.error) {
+      reply(target.error);
+      return true;
+    }
+    if (target.socket.id === socket.id) {
+      reply("自分自身は対象にできません。");
+      return true;
+    }
+    const targetName = target.user.name;
+
+    if (command === "kick") {
+      auditChatMod(socket, mod, "mod_kick", { name: targetName, targetClientId: target.clientId });
+      kickSocket(target.socket, "モデレーターにより退室させられました。");
+      reply(`「${targetName}」さんを退室させました。`);
+      return true;
+    }
+
+    if (!target.clientId) {
+      reply(`「${targetName}」さんの端末を特定できませんでした。`);
+      return true;
+    }
+
+    if (command === "mute") {
+      const min = minutes || 10;
+      const item = addMute("clientId", target.clientId, {
+        reason,
+        expiresAt: Date.now() + min * 60 * 1000,
+        room: restrictionRoomFor(mod.account, room),
+      });
+      auditChatMod(socket, mod, "mod_mute", { name: targetName, targetClientId: target.clientId, muteId: item.id, expiresAt: item.expiresAt });
+      notifyMuteStatus();
+      emitSystem(room, `「${targetName}」さんは${formatMinutes(min)}のあいだ発言できません。`);
+      reply(`「${targetName}」さんを${formatMinutes(min)}ミュートしました。`);
+      return true;
+    }
+
+    const item = addBan("clientId", target.clientId, {
+      reason,
+      expiresAt: minutes ? Date.now() + minutes * 60 * 1000 : null,
+      room: restrictionRoomFor(mod.account, room),
+    });
+    auditChatMod(socket, mod, "mod_ban", { name: targetName, targetClientId: target.clientId, banId: item.id, expiresAt: item.expiresAt });
+    kickSocket(target.socket, "この端末はBANされました。");
+    kickBannedSockets();
+    reply(`「${targetName}」さんをBANしました（${minutes ? formatMinutes(minutes) : "無期限"}）。`);
+    return true;
+  }
+
+  if (command === "clear") {
+    clearRoomLog(room);
+    auditChatMod(socket, mod, "mod_clear");
+    emitSystem(room, "モデレーターがログを消去しました。");
+    reply("ログを消去しました。");
+    return true;
+  }
+
+  if (command === "lock") {
+    if (getRoomLock(room)) {
+      reply("すでに入室を制限しています（解除は /unlock）。");
+      return true;
+    }
+    const minutes = args.length > 0 ? parseChatModDuration(args[0]) : null;
+    if (args.length > 0 && minutes === null) {
+      reply("期間は 30m / 2h / 1d のように指定してください。");
+      return true;
+    }
+    const lock = lockRoom(room, { reason, minutes, by: mod.item.label });
+    auditChatMod(socket, mod, "mod_lock", { until: lock.until });
+    reply(`新規入室を制限しました（${minutes ? formatMinutes(minutes) : "解除するまで"}）。`);
+    return true;
+  }
+
+  if (command === "unlock") {
+    if (!unlockRoom(room)) {
+      reply("入室は制限されていません。");
+      return true;
+    }
+    auditChatMod(socket, mod, "mod_unlock");
+    reply("入室制限を解除しました。");
+    return true;
+  }
+
+  reply(`「/${cmd}」は使えません。「/help」でコマンド一覧を表示します。`);
+  return true;
+}
+
+// GET /api/admin/chat-moderators
+app.get("/api/admin/chat-moderators", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const items = (chatMods.items || []).filter((it) => adminCanManageChatMod(req, it)).map(publicChatMod);
+  res.json({ items });
+});
+
+// POST /api/admin/chat-moderators { clientId, label, rooms }（rooms 空 = 発行者の担当ルームすべて）
+// トークンはこのレスポンスでだけ返す
+app.post("/api/admin/chat-moderators", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { clientId, label, rooms } = req.body || {};
+  const cid = String(clientId ?? "").trim();
+  if (!cid || cid.length > 200) return res.status(400).json({ error: "invalid clientId" });
+  const l = String(label ?? "").trim().slice(0, 40);
+  if (!l) return res.status(400).json({ error: "invalid label" });
+  const rs = parseAdminRooms(rooms);
+  if (!rs) return res.status(400).json({ error: "invalid rooms" });
+
+  const item = { id: uid(), clientId: cid, label: l, rooms: rs, accountId: req.adminAccount.id, createdAt: Date.now() };
+  if (!adminCanManageChatMod(req, item)) return res.status(403).json({ error: "room not allowed" });
+
+  const token = crypto.randomBytes(24).toString("hex");
+  item.tokenHash = hashChatModToken(token);
+  chatMods.items = [...(chatMods.items || []), item];
+  saveChatMods();
+  auditAdmin(req, "chat_mod_add", { chatModId: item.id, clientId: cid, label: l, rooms: rs });
+  res.status(201).json({ ...publicChatMod(item), token });
+});
+
+// DELETE /api/admin/chat-moderators/:id（入室中ならその場で権限を外す）
+app.delete("/api/admin/chat-moderators/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const items = chatMods.items || [];
+  const idx = items.findIndex((it) => it.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "chat moderator not found" });
+  if (!adminCanManageChatMod(req, items[idx])) return res.status(403).json({ error: "room not allowed" });
+
+  const removed = items.splice(idx, 1)[0];
+  saveChatMods();
+  for (const s of io.sockets.sockets.values()) {
+    if (s.data.chatMod !== removed.id) continue;
+    delete s.data.chatMod;
+    s.emit("mod-status", { active: false, revoked: true });
+    s.emit("system-message", { time: getTimeString(), text: "モデレーター権限が取り消されました。" });
+  }
+  auditAdmin(req, "chat_mod_remove", { chatModId: removed.id, clientId: removed.clientId, label: removed.label });
+  res.json({ ok: true, removed: publicChatMod(removed) });
+});
+
+// ===========================
+// ★ 運営からのお知らせ（ルームのログに流す / ピン留めするとログの上に固定表示）
+// ===========================
+// ピン留めは notices.json に保存（chatLog の50件制限・全員退室でのログ消去とは別に残る）
+// room: null は全ルーム向け。expiresAt を過ぎたものは巡回で外す
+const NOTICES_FILE = path.join(__dirname, "notices.json");
+let notices = readJsonSafe(NOTICES_FILE, { items: [] });
+const ANNOUNCEMENT_MAX_LEN = 500;
+const NOTICE_SWEEP_INTERVAL_MS = 30 * 1000;
+
+function saveNotices() {
+  writeJsonSafe(NOTICES_FILE, notices);
+}
+
+function noticeRooms(notice) {
+  return notice.room ? [notice.room] : listRoomSlugs();
+}
+
+// 参加者に送る形（誰が出したかは送らない）
+function listPinnedNotices(room, now = Date.now()) {
+  return (notices.items || [])
+    .filter((n) => (!n.room || n.room === room) && (!n.expiresAt || n.expiresAt > now))
+    .map((n) => ({ id: n.id, text: n.text, createdAt: n.createdAt, expiresAt: n.expiresAt }));
+}
+
+function broadcastPinnedNotices(rooms) {
+  for (const room of rooms) io.to(room).emit("pinned-notices", listPinnedNotices(room));
+}
+
+function cleanupExpiredNotices() {
+  const now = Date.now();
+  const items = notices.items || [];
+  const expired = items.filter((n) => n.expiresAt && n.expiresAt <= now);
+  if (expired.length === 0) return;
+
+  notices.items = items.filter((n) => !expired.includes(n));
+  saveNotices();
+  broadcastPinnedNotices(new Set(expired.flatMap(noticeRooms)));
+}
+setInterval(cleanupExpiredNotices, NOTICE_SWEEP_INTERVAL_MS);
+
+// 全ルーム向けのピン留めは、担当ルームの無いアカウントだけが外せる
+function adminCanManageNotice(req, notice) {
+  return notice.room ? canAccessRoom(req.adminAccount, notice.room) : !isRoomScoped(req.adminAccount);
+}
+
+// GET /api/admin/notices（ピン留め中のお知らせ）
+app.get("/api/admin/notices", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  cleanupExpiredNotices();
+  const items = (notices.items || []).filter((n) => !n.room || adminCanSeeRoom(req, n.room));
+  res.json({ items: items.map((n) => ({ ...n, canManage: adminCanManageNotice(req, n) })) });
+});
+
+// POST /api/admin/announcements { room: "main" | "*"（全ルーム）, text, pin, minutes（ピン留めの期間・0/省略 = 外すまで） }
+app.post("/api/admin/announcements", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const { room, text, pin, minutes } = req.body || {};
+  const t = String(text ?? "").trim();
+  if (!t || t.length > ANNOUNCEMENT_MAX_LEN) return res.status(400).json({ error: "invalid text" });
+
+  const allRooms = room === "*";
+  let rooms;
+  if (allRooms) {
+    if (!requireAdminGlobal(req, res)) return;
+    rooms = listRoomSlugs();
+  } else {
+    const r = normalizeRoomSlug(room);
+    if (!isRoomAllowed(r)) return res.status(404).json({ error: "room not found" });
+    if (!requireAdminRoom(req, res, r)) return;
+    rooms = [r];
+  }
+
+  const min = clampMinutes(minutes);
+  if (min === null) return res.status(400).json({ error: "invalid minutes" });
+
+  for (const r of rooms) emitLog("announcement", { text: t }, { room: r });
+
+  let notice = null;
+  if (pin) {
+    notice = {
+      id: uid(),
+      room: allRooms ? null : rooms[0],
+      text: t,
+      createdAt: Date.now(),
+      expiresAt: min > 0 ? Date.now() + min * 60 * 1000 : null,
+      by: getAdminActor(req),
+    };
+    notices.items = [...(notices.items || []), notice];
+    saveNotices();
+    broadcastPinnedNotices(rooms);
+  }
+
+  auditAdmin(req, "announcement_post", {
+    room: allRooms ? null : rooms[0],
+    allRooms,
+    text: t.slice(0, 100),
+    noticeId: notice ? notice.id : null,
+    expiresAt: notice ? notice.expiresAt : null,
+  });
+  res.status(201).json({ ok: true, rooms, notice });
+});
+
+// DELETE /api/admin/notices/:id（ピン留めを外す。ログに流れたお知らせはそのまま）
+app.delete("/api/admin/notices/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const items = notices.items || [];
+  const idx = items.findIndex((n) => n.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: "notice not found" });
+  if (!adminCanManageNotice(req, items[idx])) return res.status(403).json({ error: "room not allowed" });
+
+  const removed = items.splice(idx, 1)[0];
+  saveNotices();
+  broadcastPinnedNotices(noticeRooms(removed));
+  auditAdmin(req, "notice_unpin", { room: removed.room, noticeId: removed.id, text: removed.text.slice(0, 100) });
+  res.json({ ok: true, removed });
+});
+
+// ===========================
+// ★ メッセージ削除API
+// ===========================
+// DELETE /api/admin/messages/:room/:id
+app.delete("/api/admin/messages/:room/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const room = normalizeRoomSlug(req.params.room);
+  if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
+
+  const msgId = Number(req.params.id);
+  if (!Number.isInteger(msgId)) return res.status(400).json({ error: "invalid id" });
+
   const st = getRoomState(room);
-  st.lastActivityTimes[socketId] = Date.now();
+  const msg = st.chatLog.find((m) => m.id === msgId);
+  if (!deleteLogMessage(room, msgId)) return res.status(404).json({ error: "message not found" });
+
+  auditAdmin(req, "message_delete", {
+    room,
+    msgId,
+    name: msg.name,
+    excerpt: redactExcerpt(msg.text || msg.topic || ""),
+  });
+  res.json({ ok: true });
+});
+
+// ===========================
+// ★ 通報キュー（参加者からの通報 → 管理者が対応）
+// ===========================
+const REPORTS_FILE = path.join(__dirname, "reports.json");
+const MAX_REPORTS = 1000;
+const REPORT_LIMIT_COUNT = 5;            // 1人あたり
+const REPORT_LIMIT_WINDOW_MS = 10 * 60 * 1000; // この時間内に
+const REPORT_ACTIONS = ["dismiss", "delete", "mute", "ban"];
+
+let reports = readJsonSafe(REPORTS_FILE, { items: [] });
+// clientId -> [timestamp]（通報の回数制限用）
+const reportTimesByClientId = {};
+
+function saveReports() {
+  // 上限を超えたら、対応済みの古いものから捨てる
+  const items = reports.items || [];
+  while (items.length > MAX_REPORTS) {
+    let idx = -1;
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (items[i].status !== "open") {
+        idx = i;
+        break;
+      }
+    }
+    items.splice(idx === -1 ? items.length - 1 : idx, 1);
+  }
+  writeJsonSafe(REPORTS_FILE, reports);
 }
 
-function broadcastUserList(room) {
-  const st = getRoomState(room);
-  const list = Object.values(st.users).map((u) => u.name);
-  io.to(room).emit("user-list", list);
+function checkReportLimit(clientId) {
+  const now = Date.now();
+  const list = (reportTimesByClientId[clientId] || []).filter((t) => now - t < REPORT_LIMIT_WINDOW_MS);
+  reportTimesByClientId[clientId] = list;
+  if (list.length >= REPORT_LIMIT_COUNT) return false;
+  list.push(now);
+  return true;
 }
 
-function broadcastTypingUsers(room) {
+// 戻り値: { ok, text }（通報者へのお知らせ文）
+function submitReport(socket, room, msgId, reason) {
   const st = getRoomState(room);
-  const names = [];
-  for (const sid of st.typingUsers) {
-    const u = st.users[sid];
-    if (u?.name) names.push(u.name);
+  const msg = st.chatLog.find((m) => m.id === msgId);
+  if (!msg || ["system", "announcement", "log-cleared"].includes(msg.type) || DELETED_TYPES.includes(msg.type)) {
+    return { ok: false, text: "通報できるメッセージが見つかりませんでした。" };
   }
-  io.to(room).emit("typing-users", names);
-}
+  if (msg.fromId === socket.id) return { ok: false, text: "自分のメッセージは通報できません。" };
 
-function flushPollWaiters(room) {
-  const st = getRoomState(room);
-  if (!st.pollWaiters || st.pollWaiters.size === 0) return;
+  const reporterClientId = socketClientIds[socket.id] || socket.id;
+  const reasonText = String(reason ?? "").trim().slice(0, 200);
 
-  for (const waiter of Array.from(st.pollWaiters)) {
-    const news = st.chatLog.filter((m) => m.id > waiter.sinceId);
-    if (news.length > 0) {
-      clearTimeout(waiter.timer);
-      st.pollWaiters.delete(waiter);
-      try {
-        waiter.res.json({ ok: true, messages: news, serverTime: Date.now() });
-      } catch (_) {}
-    }
+  reports.items = reports.items || [];
+  const existing = reports.items.find((r) => r.status === "open" && r.room === room && r.msgId === msgId);
+  if (existing && existing.reporters.some((r) => r.clientId === reporterClientId)) {
+    return { ok: false, text: "このメッセージはすでに通報済みです。" };
   }
-}
 
-function emitSystem(room, text) {
-  const st = getRoomState(room);
-  const msg = {
-    id: st.nextMsgId++,
-    type: "system",
-    time: getTimeString(),
-    text: String(text || ""),
-  };
+  if (!checkReportLimit(reporterClientId)) {
+    return { ok: false, text: "短時間に通報できる回数を超えました。しばらくしてからお試しください。" };
+  }
 
-  st.chatLog.push(msg);
-  if (st.chatLog.length > 50) st.chatLog.shift();
+  const reporter = { clientId: reporterClientId, name: st.users[socket.id]?.name || null, reason: reasonText, at: Date.now() };
 
-  io.to(room).emit("system-message", msg);
-  flushPollWaiters(room);
+  if (existing) {
+    existing.reporters.push(reporter);
+  } else {
+    const author = st.msgAuthors.get(msgId) || {};
+    reports.items.unshift({
+      id: uid(),
+      status: "open",
+      room,
+      msgId,
+      createdAt: Date.now(),
+      message: { type: msg.type, time: msg.time, name: msg.name, text: msg.text || msg.topic || "" },
+      author: { clientId: author.clientId || null, ip: author.ip || null, socketId: msg.fromId || null },
+      reporters: [reporter],
+    });
+  }
+  saveReports();
+  return { ok: true, text: "通報を受け付けました。ご協力ありがとうございます。" };
 }
 
-function emitLog(type, payload, meta = {}) {
-  const room = normalizeRoomSlug(meta.room || "main");
-  const st = getRoomState(room);
-
-  const msg = {
-    id: st.nextMsgId++,
-    type: type || "chat",
-    time: getTimeString(),
-    ...payload,
-  };
+// GET /api/admin/reports?status=open|resolved|all
+app.get("/api/admin/reports", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const status = String(req.query.status || "open");
+  const items = (reports.items || []).filter(
+    (r) => adminCanSeeRoom(req, r.room) && (status === "all" || (status === "open" ? r.status === "open" : r.status !== "open"))
+  );
+  res.json({ items });
+});
 
-  // 送信者socket.id（自分判定用）
-  if (meta.fromId) msg.fromId = meta.fromId;
+// POST /api/admin/reports/:id/action { action: "dismiss"|"delete"|"mute"|"ban", mode: "clientId"|"ip"|"both", minutes, reason }
+// mute は発言を残したまま一時的に発言停止（minutes 必須）
+app.post("/api/admin/reports/:id/action", (req, res) => {
+  if (!requireAdmin(req, res)) return;
 
-  st.chatLog.push(msg);
-  if (st.chatLog.length > 50) st.chatLog.shift();
+  const report = (reports.items || []).find((r) => r.id === req.params.id);
+  if (!report) return res.status(404).json({ error: "report not found" });
+  if (!requireAdminRoom(req, res, report.room)) return;
+  if (report.status !== "open") return res.status(409).json({ error: "already resolved" });
+
+  const { action, mode = "clientId", minutes, reason } = req.body || {};
+  if (!REPORT_ACTIONS.includes(action)) return res.status(400).json({ error: "invalid action" });
+
+  // 先に入力と対象をすべて確かめる（途中で 400 を返して「発言だけ消えて未対応のまま」にならないように）
+  let targets = [];
+  let expiresAt = null;
+  if (action === "mute" || action === "ban") {
+    if (!["clientId", "ip", "both"].includes(mode)) return res.status(400).json({ error: "invalid mode" });
+    const min = action === "mute" ? parseMuteMinutes(minutes) : clampMinutes(minutes);
+    if (min === null) return res.status(400).json({ error: "invalid minutes" });
+    expiresAt = min > 0 ? Date.now() + min * 60 * 1000 : null;
+
+    if ((mode === "clientId" || mode === "both") && report.author.clientId) targets.push(["clientId", report.author.clientId]);
+    if ((mode === "ip" || mode === "both") && report.author.ip) targets.push(["ip", report.author.ip]);
+    if (targets.length === 0) return res.status(400).json({ error: `nothing to ${action}` });
+  }
 
-  io.to(room).emit("chat-message", msg);
-  flushPollWaiters(room);
-}
+  const result = {};
+  const restrictRoom = restrictionRoomFor(req.adminAccount, report.room);
 
-function checkRateLimit(room, clientId) {
-  const minInterval = Number(moderation?.minIntervalMs ?? 1000);
-  if (minInterval <= 0) return 0;
+  if (action === "delete" || action === "ban") {
+    result.deleted = isRoomAllowed(report.room) ? deleteLogMessage(report.room, report.msgId) : false;
+  }
 
-  const k = keyOf(room, clientId || "anon");
-  const now = Date.now();
-  const last = lastActionTimeByKey[k] || 0;
-  const diff = now - last;
+  // mute は発言を残す
+  if (action === "mute") {
+    const muteReason = String(reason || "").trim() || "通報対応";
+    result.mutes = targets.map(([type, value]) => addMute(type, value, { reason: muteReason, expiresAt, room: restrictRoom }));
+    notifyMuteStatus();
+  }
 
-  if (diff < minInterval) return minInterval - diff;
+  if (action === "ban") {
+    const banReason = String(reason || "").trim() || "通報対応";
+    result.bans = targets.map(([type, value]) => addBan(type, value, { reason: banReason, expiresAt, room: restrictRoom }));
+    kickBannedSockets();
+  }
 
-  lastActionTimeByKey[k] = now;
-  return 0;
-}
+  report.status = action === "dismiss" ? "dismissed" : "resolved";
+  report.resolution = { action, at: Date.now(), admin: getAdminActor(req) };
+  saveReports();
+
+  auditAdmin(req, "report_" + action, {
+    room: report.room,
+    reportId: report.id,
+    msgId: report.msgId,
+    clientId: report.author.clientId,
+    bans: (result.bans || []).map((it) => ({ banId: it.id, type: it.type, value: it.value })),
+    mutes: (result.mutes || []).map((it) => ({ muteId: it.id, type: it.type, value: it.value })),
+  });
 
-function getRoomFromHandshake(socket) {
-  try {
-    const ref = socket.handshake.headers.referer || "";
-    const m = String(ref).match(/\/r\/([^\/\?#]+)/);
-    return normalizeRoomSlug(m ? m[1] : "main");
-  } catch (_) {
-    return "main";
-  }
-}
+  res.json({ ok: true, report, ...result });
+});
 
 // ===========================
 // ★ お題API（部屋別）
 // ===========================
 
-// GET /api/topics?password=...&room=main
+// 担当ルームがあるアカウントは、担当ルームだけに出るお題しか追加・変更・削除できない
+function requireTopicRooms(req, res, rooms) {
+  const list = Array.isArray(rooms) ? rooms.map((r) => normalizeRoomSlug(r)) : [];
+  if (list.every((r) => adminCanSeeRoom(req, r))) return true;
+  res.status(403).json({ error: "room not allowed" });
+  return null;
+}
+
+function findTopic(id) {
+  return getAllTopics().find((t) => t.id === id) || null;
+}
+
+// GET /api/topics?room=main
 app.get("/api/topics", (req, res) => {
-  const password = req.query.password || req.headers["x-admin-password"];
-  if (password !== ADMIN_PASSWORD) return res.status(403).json({ error: "forbidden" });
+  if (!requireAdmin(req, res, "topics")) return;
 
   const room = normalizeRoomSlug(req.query.room || "main");
   if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!requireAdminRoom(req, res, room)) return;
 
   res.json(getTopics(room));
 });
 
-// POST /api/topics { password, text, weight, rooms }
+// POST /api/topics { text, weight, rooms }
 app.post("/api/topics", (req, res) => {
-  const { password, text, weight, rooms } = req.body || {};
-  if (password !== ADMIN_PASSWORD) return res.status(403).json({ error: "forbidden" });
+  if (!requireAdmin(req, res, "topics")) return;
+  const { text, weight, rooms } = req.body || {};
+  if (!requireTopicRooms(req, res, Array.isArray(rooms) ? rooms : ["main"])) return;
 
   try {
     const topic = addTopic("main", text, weight, rooms);
+    auditAdmin(req, "topic_add", { topicId: topic.id, text: topic.text, rooms: topic.rooms });
     res.status(201).json(topic);
   } catch (err) {
     console.error("Failed to add topic:", err);
@@ -417,16 +3295,21 @@ app.post("/api/topics", (req, res) => {
   }
 });
 
-// PUT /api/topics/:id { password, text, weight, rooms }
+// PUT /api/topics/:id { text, weight, rooms }
 app.put("/api/topics/:id", (req, res) => {
-  const { password, text, weight, rooms } = req.body || {};
-  if (password !== ADMIN_PASSWORD) return res.status(403).json({ error: "forbidden" });
+  if (!requireAdmin(req, res, "topics")) return;
+  const { text, weight, rooms } = req.body || {};
 
   const id = Number(req.params.id);
   if (!Number.isInteger(id)) return res.status(400).json({ error: "invalid id" });
 
+  const current = findTopic(id);
+  if (!current) return res.status(404).json({ error: "topic not found" });
+  if (!requireTopicRooms(req, res, [...current.rooms, ...(Array.isArray(rooms) ? rooms : [])])) return;
+
   try {
     const topic = updateTopic("main", id, { text, weight, rooms });
+    auditAdmin(req, "topic_update", { topicId: topic.id, text: topic.text, rooms: topic.rooms });
     res.json(topic);
   } catch (err) {
     console.error("Failed to update topic:", err);
@@ -434,12 +3317,9 @@ app.put("/api/topics/:id", (req, res) => {
   }
 });
 
-// DELETE /api/topics/:id?password=...&room=main
+// DELETE /api/topics/:id?room=main
 app.delete("/api/topics/:id", (req, res) => {
-  const password =
-    req.query.password || req.headers["x-admin-password"] || (req.body && req.body.password);
-
-  if (password !== ADMIN_PASSWORD) return res.status(403).json({ error: "forbidden" });
+  if (!requireAdmin(req, res, "topics")) return;
 
   const r = normalizeRoomSlug(req.query.room || (req.body && req.body.room) || "main");
   if (!isRoomAllowed(r)) return res.status(404).json({ error: "room not found" });
@@ -447,8 +3327,13 @@ app.delete("/api/topics/:id", (req, res) => {
   const id = Number(req.params.id);
   if (!Number.isInteger(id)) return res.status(400).json({ error: "invalid id" });
 
+  const current = findTopic(id);
+  if (!current) return res.status(404).json({ error: "topic not found" });
+  if (!requireTopicRooms(req, res, current.rooms)) return;
+
   try {
     const removed = deleteTopic(r, id);
+    auditAdmin(req, "topic_delete", { topicId: removed.id, text: removed.text, rooms: removed.rooms });
     res.json({ ok: true, removed });
   } catch (err) {
     console.error("Failed to delete topic:", err);
@@ -462,6 +3347,7 @@ app.delete("/api/topics/:id", (req, res) => {
 app.get("/api/log", (req, res) => {
   const room = normalizeRoomSlug(req.query.room || "main");
   if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!hasRoomHttpAccess(req, room)) return res.status(403).json({ error: "room pass required" });
 
   const st = getRoomState(room);
   res.json({ ok: true, messages: st.chatLog, serverTime: Date.now() });
@@ -470,6 +3356,7 @@ app.get("/api/log", (req, res) => {
 app.get("/api/poll", (req, res) => {
   const room = normalizeRoomSlug(req.query.room || "main");
   if (!isRoomAllowed(room)) return res.status(404).json({ error: "room not found" });
+  if (!hasRoomHttpAccess(req, room)) return res.status(403).json({ error: "room pass required" });
 
   const st = getRoomState(room);
   const sinceId = Number(req.query.since || 0);
@@ -496,15 +3383,192 @@ app.get("/api/poll", (req, res) => {
   });
 });
 
+// ===========================
+// ★ 管理者のライブ監視（Socket.io の /admin 名前空間）
+// ===========================
+// 参加者として入室しなくても、担当ルームの発言・お知らせ・入退室・モデレーション判定をリアルタイムで見られる。
+// 接続にはログイン中のセッションCookieと、auth.csrfToken（/api/admin/session で受け取るもの）が必要。
+// 監視を開いているだけではセッションを延長しない（期限切れ・ログアウト・権限変更で切断する）
+const adminNsp = io.of("/admin");
+const MONITOR_SWEEP_INTERVAL_MS = 30 * 1000;
+
+function monitorRoomsFor(account) {
+  return listRoomSlugs().filter((room) => canAccessRoom(account, room));
+}
+
+// 監視用の発言：通報用に持っている送信者の clientId も付ける（参加者には送らない情報）
+function monitorMessage(room, msg) {
+  const author = getRoomState(room).msgAuthors.get(msg.id);
+  return author ? { ...msg, clientId: author.clientId } : msg;
+}
+
+// type: message / system / join / leave / decision / deleted / cleared
+function emitMonitor(room, type, payload = {}) {
+  adminNsp.to(room).emit("monitor", { type, room, at: Date.now(), time: getTimeString(), ...payload });
+}
+
+function monitorSnapshot(room) {
+  const st = getRoomState(room);
+  return {
+    room,
+    users: listOnlineUsers().filter((u) => u.room === room),
+    log: st.chatLog.map((m) => monitorMessage(room, m)),
+    lock: getRoomLock(room),
+  };
+}
+
+adminNsp.use((socket, next) => {
+  const auth = getAdminSession({ headers: socket.handshake.headers });
+  const csrf = socket.handshake.auth && socket.handshake.auth.csrfToken;
+  if (!auth || !safeEqual(csrf, auth.session.csrfToken)) return next(new Error("unauthorized"));
+  if (!hasPermission(auth.account, "moderation")) return next(new Error("permission denied"));
+  socket.data.adminSessionId = auth.session.id;
+  socket.data.adminAccountId = auth.account.id;
+  next();
+});
+
+// ログアウト・期限切れ・アカウント削除なら切断、担当ルームが減っていたらそのルームの購読をやめる
+function sweepMonitorSockets() {
+  for (const socket of adminNsp.sockets.values()) {
+    const auth = resolveAdminSession(adminSessions.peek(socket.data.adminSessionId));
+    if (!auth || auth.account.id !== socket.data.adminAccountId || !hasPermission(auth.account, "moderation")) {
+      socket.emit("monitor-expired");
+      socket.disconnect(true);
+      continue;
+    }
+    for (const room of socket.rooms) {
+      if (room !== socket.id && !canAccessRoom(auth.account, room)) socket.leave(room);
+    }
+  }
+}
+setInterval(sweepMonitorSockets, MONITOR_SWEEP_INTERVAL_MS);
+
+adminNsp.on("connection", (socket) => {
+  const account = findAdminAccount((a) => a.id === socket.data.adminAccountId);
+  socket.emit("monitor-rooms", { rooms: monitorRoomsFor(account) });
+
+  // 監視するルームを選ぶ（{ rooms: [] } または省略 = 担当ルームすべて）。選んだルームの現在の状態を返す
+  socket.on("monitor-subscribe", (payload) => {
+    const auth = resolveAdminSession(adminSessions.peek(socket.data.adminSessionId));
+    if (!auth) {
+      socket.emit("monitor-expired");
+      socket.disconnect(true);
+      return;
+    }
+    const allowed = monitorRoomsFor(auth.account);
+    const requested = Array.isArray(payload && payload.rooms) ? payload.rooms.map((r) => normalizeRoomSlug(r)) : [];
+    const rooms = requested.length > 0 ? allowed.filter((r) => requested.includes(r)) : allowed;
+
+    for (const room of socket.rooms) {
+      if (room !== socket.id && !rooms.includes(room)) socket.leave(room);
+    }
+    for (const room of rooms) socket.join(room);
+    socket.emit("monitor-snapshot", { rooms: rooms.map(monitorSnapshot) });
+  });
+});
+
+// ===========================
+// ★ ロビー（公開ルーム一覧 / Socket.io の /lobby 名前空間）
+// ===========================
+// / のロビー画面と GET /api/rooms で、アーカイブ中・非公開（hidden）を除いたルームの人数を出す。
+// /lobby 名前空間はルームに入らず、人数やルーム設定が変わったときだけ "lobby-rooms" を受け取る（まとめて1秒後・変化が無ければ送らない）
+const lobbyNsp = io.of("/lobby");
+const LOBBY_UPDATE_DELAY_MS = 1000;
+let lobbyUpdateTimer = null;
+let lastLobbyJson = "";
+
+function isRoomListed(room) {
+  return !room.archived && !room.hidden;
+}
+
+// 名前は出さず、人数と性別の内訳だけ
+function listPublicRooms() {
+  return roomRegistry.items.filter(isRoomListed).map((r) => {
+    const cfg = getRoomConfig(r.slug);
+    const users = roomStates.has(r.slug) ? Object.values(roomStates.get(r.slug).users) : [];
+    const male = users.filter((u) => u.gender === "male").length;
+    const female = users.filter((u) => u.gender === "female").length;
+    return {
+      slug: r.slug,
+      title: cfg.title,
+      description: cfg.description,
+      capacity: cfg.capacity,
+      online: users.length,
+      genders: { male, female, other: users.length - male - female },
+      access: roomAccessMode(r),
+    };
+  });
+}
+
+function scheduleLobbyUpdate() {
+  if (lobbyNsp.sockets.size === 0) {
+    lastLobbyJson = ""; // 誰も見ていないあいだの変化は送っていないので、次に見る人がいたら必ず送る
+    return;
+  }
+  if (lobbyUpdateTimer) return;
+  lobbyUpdateTimer = setTimeout(() => {
+    lobbyUpdateTimer = null;
+    const rooms = listPublicRooms();
+    const json = JSON.stringify(rooms);
+    if (json === lastLobbyJson) return;
+    lastLobbyJson = json;
+    lobbyNsp.emit("lobby-rooms", { rooms });
+  }, LOBBY_UPDATE_DELAY_MS);
+}
+
+// GET /api/rooms
+app.get("/api/rooms", (req, res) => {
+  res.json({ rooms: listPublicRooms() });
+});
+
+// 同じIPからの同時接続数はチャットと同じ上限
+lobbyNsp.use((socket, next) => {
+  const ip = getSocketIp(socket);
+  let count = 0;
+  for (const s of lobbyNsp.sockets.values()) if (s.data.ip === ip) count++;
+  if (count >= MAX_SOCKETS_PER_IP) return next(new Error("too many connections"));
+  socket.data.ip = ip;
+  next();
+});
+
+// 接続した人には今の一覧を送るだけ（lastLobbyJson は全員に送ったものなので触らない）
+lobbyNsp.on("connection", (socket) => {
+  socket.emit("lobby-rooms", { rooms: listPublicRooms() });
+});
+
+// ルーム設定で止められている操作なら通知して true
+const ROOM_FEATURE_LABELS = { roll1d6: "1D6", roll2d6: "2D6", topic: "お仕置きガチャ" };
+function refuseDisabledFeature(socket, room, feature) {
+  if (isRoomFeatureEnabled(room, feature)) return false;
+  socket.emit("system-message", { time: getTimeString(), text: `この部屋では${ROOM_FEATURE_LABELS[feature]}は使えません。` });
+  return true;
+}
+
 // ===========================
 // Socket.io メイン処理（部屋対応）
 // ===========================
 io.on("connection", (socket) => {
   console.log("connected:", socket.id);
 
-  // 入室前でもオンライン人数を出したいので、refererから部屋推定して送る
+  // 同じIPからの同時接続数を制限
+  const socketIp = getSocketIp(socket);
+  const ipCount = (socketCountByIp.get(socketIp) || 0) + 1;
+  socketCountByIp.set(socketIp, ipCount);
+  socket.on("disconnect", () => {
+    const n = (socketCountByIp.get(socketIp) || 1) - 1;
+    if (n > 0) socketCountByIp.set(socketIp, n);
+    else socketCountByIp.delete(socketIp);
+  });
+  if (ipCount > MAX_SOCKETS_PER_IP) {
+    auditDecision(socket, "too_many_sockets", { detail: { count: ipCount, max: MAX_SOCKETS_PER_IP } });
+    socket.emit("system-message", { time: getTimeString(), text: "同じ回線からの接続が多すぎます。他のタブを閉じてからお試しください。" });
+    socket.disconnect(true);
+    return;
+  }
+
+  // 入室前でもオンライン人数を出したいので、refererから部屋推定して送る（保護ありのルームは出さない）
   const roomHint = getRoomFromHandshake(socket);
-  if (isRoomAllowed(roomHint)) {
+  if (isRoomAllowed(roomHint) && !isRoomProtected(roomHint)) {
     const st = getRoomState(roomHint);
     const currentUsers = Object.values(st.users).map((u) => u.name);
     socket.emit("user-list", currentUsers);
@@ -513,13 +3577,14 @@ io.on("connection", (socket) => {
   }
 
   // 入室
-  socket.on("join", (payload) => {
-    // payload: { roomSlug, name, color, clientId, gender }
+  socket.on("join", async (payload) => {
+    // payload: { roomSlug, name, color, clientId, gender, roomPass, invite, roomPassword }
     let room = "main";
     let rawName = "";
     let color = null;
     let clientId = null;
     let gender = "";
+    let access = {};
 
     if (typeof payload === "string" || payload === undefined || payload === null) {
       rawName = payload || "";
@@ -527,8 +3592,9 @@ io.on("connection", (socket) => {
       room = normalizeRoomSlug(payload.roomSlug || "main");
       rawName = payload.name || "";
       color = payload.color || null;
-      clientId = payload.clientId || null;
+      clientId = normalizeClientId(payload.clientId);
       gender = payload.gender || "";
+      access = { roomPass: payload.roomPass, invite: payload.invite, roomPassword: payload.roomPassword };
     }
 
     if (!isRoomAllowed(room)) {
@@ -540,23 +3606,49 @@ io.on("connection", (socket) => {
     const st = getRoomState(room);
     if (st.users[socket.id]) return;
 
-    const currentCount = Object.keys(st.users).length;
-    if (currentCount >= MAX_USERS) {
-      socket.emit("room-full");
-      return;
-    }
-
-    if (!clientId) clientId = socket.id;
+    if (!clientId) clientId = socket.id; // 無い・形式違いは接続ごとのidで代用
     socketClientIds[socket.id] = clientId;
 
     // BAN判定
     const ip = getSocketIp(socket);
-    if (isBanned(clientId, ip)) {
+    if (isBanned(clientId, ip, room)) {
+      auditDecision(socket, "join_banned", { room });
       socket.emit("system-message", { time: getTimeString(), text: "この端末（または回線）はBANされています。" });
       socket.disconnect(true);
       return;
     }
 
+    // ロックダウン中・入室の集中
+    const refused = checkJoinAllowed(room, clientId, ip);
+    if (refused) {
+      auditDecision(socket, refused.rule, { room, detail: { waitMs: refused.waitMs } });
+      if (refused.lock) {
+        const { until } = refused.lock;
+        socket.emit("room-locked", { room, remainingMs: until ? until - Date.now() : null });
+      } else {
+        socket.emit("join-refused", { waitMs: refused.waitMs });
+      }
+      return;
+    }
+
+    // 合言葉・招待リンク（保護ありのルームだけ）
+    const granted = await checkRoomAccess(room, access, ip);
+    // 合言葉の照合を待つあいだに切断・ルーム削除・二重の join があったら何もしない
+    if (!socket.connected || roomStates.get(room) !== st || !isRoomAllowed(room) || st.users[socket.id]) return;
+    if (!granted.ok) {
+      if (granted.error) auditDecision(socket, "join_access_denied", { room, detail: { reason: granted.error } });
+      socket.emit("room-auth-required", { mode: granted.mode, error: granted.error, retryMs: granted.retryMs });
+      return;
+    }
+
+    const currentCount = Object.keys(st.users).length;
+    const { capacity } = getRoomConfig(room);
+    if (currentCount >= capacity) {
+      socket.emit("room-full", { capacity });
+      return;
+    }
+    if (granted.invite) useInvite(granted.invite);
+
     const baseName =
       rawName && rawName.trim() ? rawName.trim() : "user-" + Math.floor(Math.random() * 1000);
 
@@ -566,6 +3658,7 @@ io.on("connection", (socket) => {
 
     socket.join(room);
     socket.data.roomSlug = room;
+    emitMonitor(room, "join", { socketId: socket.id, clientId, ip, name: displayName });
 
     console.log(displayName, "joined room:", room, "(clientId:", clientId, ")");
 
@@ -588,9 +3681,21 @@ io.on("connection", (socket) => {
     if (st.chatLog.length > 0) {
       socket.emit("chat-log", st.chatLog);
     }
+    socket.emit("pinned-notices", listPinnedNotices(room));
+    if (isRoomProtected(room)) socket.emit("room-access", { pass: issueRoomPass(findRoom(room)) });
 
     broadcastUserList(room);
     touchActivity(room, socket.id);
+
+    // ミュート状態を伝える（ミュート中なら入力欄を止めてもらう）
+    socket.emit("mute-status", getMuteStatus(socket));
+
+    // 入室を待っていたモデレーター認証
+    const pendingModAuth = socket.data.pendingModAuth;
+    if (pendingModAuth) {
+      delete socket.data.pendingModAuth;
+      authChatMod(socket, pendingModAuth.token, { quiet: pendingModAuth.quiet });
+    }
   });
 
   // 名前変更（✅ 文字列でも {name} でもOK）
@@ -641,7 +3746,7 @@ io.on("connection", (socket) => {
   });
 
   // メッセージ（✅ 文字列でも {text} でもOK）
-  socket.on("send-message", (msg) => {
+  socket.on("send-message", async (msg) => {
     try {
       const room = socket.data.roomSlug;
       if (!room || !isRoomAllowed(room)) return;
@@ -655,53 +3760,105 @@ io.on("connection", (socket) => {
         : String(msg || "").trim();
 
       if (!text) return;
+      if (handleChatModCommand(socket, room, text)) return;
+      if (refuseIfMuted(socket, "send-message")) return;
+
+      // 連投制限は内容の判定より先に（弾かれる発言でも枠を使わせ、NG判定の worker を1人で埋められないように）
+      const clientId = socketClientIds[socket.id] || socket.id;
+      const waitMs = checkRateLimit(room, clientId);
+      if (waitMs > 0) {
+        auditDecision(socket, "rate_limit", { room, text, detail: { action: "send-message", waitMs } });
+        socket.emit("rate-limit", { waitMs });
+        addFloodStrike(socket, room, "rate_limit");
+        return;
+      }
 
-      const maxLen = Number(moderation?.maxMsgLen ?? 300);
-      const maxUrls = Number(moderation?.maxUrlsPerMsg ?? 3);
-      const blockPII = !!(moderation?.blockPII ?? true);
+      const policy = getRoomModeration(room);
+      const maxLen = Number(policy.maxMsgLen ?? 300);
+      const maxUrls = Number(policy.maxUrlsPerMsg ?? 3);
+      const blockPII = !!(policy.blockPII ?? true);
 
       if (maxLen > 0 && text.length > maxLen) {
+        auditDecision(socket, "too_long", { room, text, detail: { length: text.length, maxLen } });
         socket.emit("system-message", { time: getTimeString(), text: `長すぎます（最大 ${maxLen} 文字）` });
         return;
       }
 
-      if (blockPII && containsPersonalInfo(text)) {
-        socket.emit("system-message", { time: getTimeString(), text: "個人情報（電話番号やメールアドレスなど）は送信できません。" });
+      const pii = blockPII ? findPersonalInfo(text) : null;
+      if (pii) {
+        auditDecision(socket, "pii", { room, text, detail: { detector: pii.id } });
+        socket.emit("system-message", {
+          time: getTimeString(),
+          text: `個人情報（${pii.label}）と思われる内容が含まれているため、送信できません。`,
+        });
         return;
       }
 
-      if (containsNgWordByModeration(text)) {
+      const ng = await checkNgRules(text, room);
+      if (!st.users[socket.id]) return; // 判定中に退室した
+      if (ng.action === "reject") {
+        auditDecision(socket, "ng_reject", { room, text, detail: { hits: ng.hits } });
         socket.emit("system-message", { time: getTimeString(), text: "NGワードが含まれているため、送信できません。" });
         return;
       }
 
-      const urls = text.match(URL_REGEX) || [];
+      const urls = extractUrls(text);
       if (maxUrls >= 0 && urls.length > maxUrls) {
+        auditDecision(socket, "url_count", { room, text, detail: { count: urls.length, maxUrls } });
         socket.emit("system-message", { time: getTimeString(), text: `1つのメッセージに貼れるURLは最大 ${maxUrls} 件までです。` });
         return;
       }
 
-      if (urls.length > 0) {
-        for (const raw of urls) {
-          const urlStr = raw.startsWith("http") ? raw : `http://${raw}`;
-          const u = new URL(urlStr);
-          const host = u.hostname.toLowerCase();
-          if (BLOCKED_URL_DOMAINS.some((d) => host === d || host.endsWith("." + d))) {
-            socket.emit("system-message", { time: getTimeString(), text: "安全のため、一部の短縮URLや招待リンクは送信できません。" });
-            return;
-          }
-        }
+      const blockedUrl = findBlockedUrl(urls, getUrlPolicy());
+      if (blockedUrl) {
+        auditDecision(socket, "url_domain", { room, text, detail: { host: blockedUrl.host, reason: blockedUrl.reason } });
+        socket.emit("system-message", {
+          time: getTimeString(),
+          text: blockedUrl.reason === "not_allowed"
+            ? "許可されたサイト以外のURLは送信できません。"
+            : "安全のため、一部の短縮URLや招待リンクは送信できません。",
+        });
+        return;
       }
 
-      const clientId = socketClientIds[socket.id] || socket.id;
-      const waitMs = checkRateLimit(room, clientId);
-      if (waitMs > 0) {
-        socket.emit("rate-limit", { waitMs });
+      if (checkDuplicate(room, clientId, text)) {
+        auditDecision(socket, "duplicate", { room, text });
+        socket.emit("system-message", { time: getTimeString(), text: "同じ内容の繰り返し投稿はできません。" });
+        addFloodStrike(socket, room, "duplicate");
         return;
       }
 
       touchActivity(room, socket.id);
-      emitLog("chat", { name: user.name, text, color: user.color || null }, { fromId: socket.id, room });
+
+      if (ng.action === "mask") {
+        auditDecision(socket, "ng_mask", { room, text, detail: { hits: ng.hits } });
+      }
+
+      // shadow：本人にだけ表示（chatLog には残さない）
+      // afterId: どのメッセージの後に出したか（クライアントがログを取り直したときに同じ位置へ戻すため）
+      if (ng.action === "shadow") {
+        const echo = {
+          id: st.nextShadowId--,
+          afterId: st.nextMsgId - 1,
+          type: "chat",
+          time: getTimeString(),
+          name: user.name,
+          text: ng.text,
+          color: user.color || null,
+          fromId: socket.id,
+        };
+        socket.emit("chat-message", echo);
+        auditDecision(socket, "ng_shadow", { room, text, detail: { hits: ng.hits, msgId: echo.id } });
+        recordFlaggedMessage({ room, clientId, socketId: socket.id, name: user.name, text, action: "shadow", hits: ng.hits, msgId: echo.id });
+        return;
+      }
+
+      const sent = emitLog("chat", { name: user.name, text: ng.text, color: user.color || null }, { fromId: socket.id, room });
+
+      if (ng.action === "flag") {
+        auditDecision(socket, "ng_flag", { room, text, detail: { hits: ng.hits, msgId: sent.id } });
+        recordFlaggedMessage({ room, clientId, socketId: socket.id, name: user.name, text, action: "flag", hits: ng.hits, msgId: sent.id });
+      }
 
     } catch (err) {
       console.error("send-message error:", err);
@@ -715,15 +3872,20 @@ io.on("connection", (socket) => {
   socket.on("roll-1d6", () => {
     const room = socket.data.roomSlug;
     if (!room || !isRoomAllowed(room)) return;
+    if (refuseDisabledFeature(socket, room, "roll1d6")) return;
 
     const st = getRoomState(room);
     const user = st.users[socket.id];
     if (!user) return;
 
+    if (refuseIfMuted(socket, "roll-1d6")) return;
+
     const clientId = socketClientIds[socket.id] || socket.id;
     const waitMs = checkRateLimit(room, clientId);
     if (waitMs > 0) {
+      auditDecision(socket, "rate_limit", { room, detail: { action: "roll-1d6", waitMs } });
       socket.emit("rate-limit", { waitMs });
+      addFloodStrike(socket, room, "rate_limit");
       return;
     }
 
@@ -732,6 +3894,7 @@ io.on("connection", (socket) => {
     const color = user.color || "#FFFFFF";
     const text = `🎲 ${name} が 1D6 を振った：${d}`;
 
+    touchActivity(room, socket.id);
     emitLog("dice", { name, text, color }, { fromId: socket.id, room });
   });
 
@@ -739,15 +3902,20 @@ io.on("connection", (socket) => {
   socket.on("roll-dice", () => {
     const room = socket.data.roomSlug;
     if (!room || !isRoomAllowed(room)) return;
+    if (refuseDisabledFeature(socket, room, "roll2d6")) return;
 
     const st = getRoomState(room);
     const user = st.users[socket.id];
     if (!user) return;
 
+    if (refuseIfMuted(socket, "roll-dice")) return;
+
     const clientId = socketClientIds[socket.id] || socket.id;
     const waitMs = checkRateLimit(room, clientId);
     if (waitMs > 0) {
+      auditDecision(socket, "rate_limit", { room, detail: { action: "roll-dice", waitMs } });
       socket.emit("rate-limit", { waitMs });
+      addFloodStrike(socket, room, "rate_limit");
       return;
     }
 
@@ -759,6 +3927,7 @@ io.on("connection", (socket) => {
     const color = user.color || "#FFFFFF";
     const text = `🎲 ${name} が 2D6 を振った：${d1} ＋ ${d2} ＝ ${total}`;
 
+    touchActivity(room, socket.id);
     emitLog("dice", { name, text, color }, { fromId: socket.id, room });
   });
 
@@ -766,6 +3935,7 @@ io.on("connection", (socket) => {
   socket.on("draw-topic", () => {
     const room = socket.data.roomSlug;
     if (!room || !isRoomAllowed(room)) return;
+    if (refuseDisabledFeature(socket, room, "topic")) return;
 
     const st = getRoomState(room);
     const user = st.users[socket.id];
@@ -773,6 +3943,7 @@ io.on("connection", (socket) => {
 
     const clientId = socketClientIds[socket.id];
     if (!clientId) return;
+    if (refuseIfMuted(socket, "draw-topic")) return;
 
     const now = Date.now();
     const k = keyOf(room, clientId);
@@ -780,19 +3951,58 @@ io.on("connection", (socket) => {
     const diff = now - last;
 
     if (diff < TOPIC_COOLDOWN_MS) {
+      auditDecision(socket, "rate_limit", { room, detail: { action: "draw-topic", waitMs: TOPIC_COOLDOWN_MS - diff } });
       socket.emit("rate-limit", { waitMs: TOPIC_COOLDOWN_MS - diff });
       return;
     }
 
+    const waitMs = checkRateLimit(room, clientId, TOPIC_TOKEN_COST);
+    if (waitMs > 0) {
+      auditDecision(socket, "rate_limit", { room, detail: { action: "draw-topic", waitMs } });
+      socket.emit("rate-limit", { waitMs });
+      addFloodStrike(socket, room, "rate_limit");
+      return;
+    }
+
     lastTopicTimeByKey[k] = now;
 
     const drawn = drawTopic(room);
     if (!drawn) return;
 
     const name = user.name || "匿名";
+    touchActivity(room, socket.id);
     emitLog("topic", { name, topic: drawn.text, color: null }, { fromId: socket.id, room });
   });
 
+  // 通報（{ id, reason }）
+  socket.on("report-message", (payload) => {
+    const room = socket.data.roomSlug;
+    if (!room || !isRoomAllowed(room)) return;
+
+    const st = getRoomState(room);
+    if (!st.users[socket.id]) return;
+
+    const msgId = Number(payload && payload.id);
+    if (!Number.isInteger(msgId)) return;
+
+    const result = submitReport(socket, room, msgId, payload.reason);
+    socket.emit("system-message", { time: getTimeString(), text: result.text });
+  });
+
+  // チャット内モデレーターの認証（{ token, quiet }。発言欄の「/auth」と同じ）
+  // クライアントは join の直後に送ってくるので、合言葉の照合などで入室がまだなら入室できたときに回す
+  socket.on("mod-auth", (payload) => {
+    const token = payload && payload.token;
+    const quiet = !!(payload && payload.quiet);
+    const room = socket.data.roomSlug;
+    if (!room) {
+      socket.data.pendingModAuth = { token, quiet };
+      return;
+    }
+    if (!isRoomAllowed(room)) return;
+    authChatMod(socket, token, { quiet });
+  });
+
   // 入力中（✅ booleanでも {isTyping} でもOK）
   socket.on("typing", (payload) => {
     const room = socket.data.roomSlug;
@@ -806,6 +4016,7 @@ io.on("connection", (socket) => {
       (typeof payload === "object" && payload !== null) ? !!payload.isTyping : !!payload;
 
     if (isTyping) {
+      if (refuseIfMuted(socket, "typing", { quiet: true })) return;
       st.typingUsers.add(socket.id);
       touchActivity(room, socket.id);
     } else {
@@ -819,34 +4030,7 @@ io.on("connection", (socket) => {
     const room = socket.data.roomSlug;
     if (!room || !isRoomAllowed(room)) return;
 
-    const st = getRoomState(room);
-    const user = st.users[socket.id];
-    if (!user) return;
-
-    const leftName = user.name;
-
-    const clientId = socketClientIds[socket.id];
-    if (clientId) {
-      lastLeaveByClientIdRoom[clientId] = lastLeaveByClientIdRoom[clientId] || {};
-      lastLeaveByClientIdRoom[clientId][room] = Date.now();
-      delete socketClientIds[socket.id];
-    }
-
-    delete st.users[socket.id];
-    st.typingUsers.delete(socket.id);
-    delete st.lastActivityTimes[socket.id];
-
-    socket.leave(room);
-    emitSystem(room, `「${leftName}」さんが退室しました。`);
-
-    broadcastUserList(room);
-    broadcastTypingUsers(room);
-
-    if (Object.keys(st.users).length === 0) {
-      st.chatLog.length = 0;
-      st.typingUsers.clear();
-      console.log(`[${room}] All users left. chatLog cleared.`);
-    }
+    leaveRoom(socket, room, (name) => `「${name}」さんが退室しました。`);
   });
 
   // 切断
@@ -870,13 +4054,16 @@ io.on("connection", (socket) => {
     if (user) {
       delete st.users[socket.id];
       st.typingUsers.delete(socket.id);
+      st.idleWarned.delete(socket.id);
       delete st.lastActivityTimes[socket.id];
 
+      emitMonitor(room, "leave", { socketId: socket.id, clientId: clientId || null, name: user.name, disconnected: true });
       broadcastUserList(room);
       broadcastTypingUsers(room);
 
       if (Object.keys(st.users).length === 0) {
         st.chatLog.length = 0;
+        st.msgAuthors.clear();
         st.typingUsers.clear();
         console.log(`[${room}] All users left. chatLog cleared.`);
       }
@@ -886,7 +4073,81 @@ io.on("connection", (socket) => {
   });
 });
 
+// ===========================
+// ★ 設定ファイルの再読み込み（moderation.json / banlist.json / topics.json を直接編集したとき）
+// ===========================
+// 不正な内容なら例外を投げて前の設定のまま（理由はログに出す）。今と同じ内容なら false
+// 管理画面からの保存（writeJsonSafe）も変更通知は来るが、メモリと同じ内容なので何もしない
+const { createConfigWatcher } = require("./config-watcher");
+
+function describeErrors(errors) {
+  return errors.map((e) => `${e.field}${e.line ? `:${e.line}` : ""} ${e.message}`).join(" / ");
+}
+
+function applyModerationFile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("object expected");
+
+  const { values, errors } = validateModerationFields(data);
+  if (errors.length > 0) throw new Error(describeErrors(errors));
+  if (values.piiDetectors) values.piiDetectors = data.piiDetectors; // ファイルの内容をそのまま使う（今の設定と混ぜない）
+
+  if (data.rooms !== undefined) {
+    if (!data.rooms || typeof data.rooms !== "object" || Array.isArray(data.rooms)) throw new Error("rooms: object expected");
+    for (const [room, ov] of Object.entries(data.rooms)) {
+      const r = validateModerationFields(ov, { allowInherit: true });
+      if (r.errors.length > 0) throw new Error(`rooms.${room}: ${describeErrors(r.errors)}`);
+    }
+  }
+
+  const next = { ...data, ...values };
+  if (JSON.stringify(next) === JSON.stringify(moderation)) return false;
+  moderation = next;
+  compileModerationRegexes();
+  return true;
+}
+
+function applyBanlistFile(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.items)) throw new Error("{ items: [] } expected");
+
+  const items = data.items.map((it, i) => {
+    if (!it || typeof it !== "object" || !BAN_TYPES.includes(it.type)) throw new Error(`items[${i}]: invalid type`);
+    const value = String(it.value ?? "").trim();
+    if (!value || (it.type === "ip" && !parseCidr(value))) throw new Error(`items[${i}]: invalid value`);
+    const expiresAt = it.expiresAt ?? null;
+    if (expiresAt !== null && !Number.isFinite(expiresAt)) throw new Error(`items[${i}]: invalid expiresAt`);
+    const room = it.room ?? null;
+    if (room !== null && normalizeRoomSlug(room) !== room) throw new Error(`items[${i}]: invalid room`);
+    // 手で書き足した行は id などが無いことがあるので補う
+    return { ...it, id: it.id || uid(), value, room, reason: String(it.reason ?? ""), createdAt: it.createdAt || Date.now(), expiresAt };
+  });
+
+  const next = { ...data, items };
+  if (JSON.stringify(next) === JSON.stringify(banlist)) return false;
+  banlist = next;
+  invalidateBanIndex();
+  kickBannedSockets();
+  return true;
+}
+
+const configWatcher = createConfigWatcher({ debounceMs: 500 });
+for (const [file, apply] of [
+  [MODERATION_FILE, applyModerationFile],
+  [BANLIST_FILE, applyBanlistFile],
+  [TOPICS_FILE, reloadTopics],
+]) {
+  const label = path.basename(file);
+  configWatcher.watch(file, {
+    label,
+    apply: (data) => {
+      const changed = apply(data);
+      if (changed) auditLog.append({ kind: "system", rule: "config_reload", room: null, detail: { file: label } });
+      return changed;
+    },
+  });
+}
+
 http.listen(3000, () => {
   console.log("Server running at http://localhost:3000");
-  console.log("Allowed rooms:", Array.from(ALLOWED_ROOMS).join(", "));
+  console.log("Allowed rooms:", listRoomSlugs().join(", "));
+  if (TRUSTED_PROXIES.size === 0) console.log("TRUSTED_PROXIES is not set: X-Forwarded-For is ignored.");
 });
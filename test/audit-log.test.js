@@ -0,0 +1,64 @@
+// audit-log.js：追記・サイズでのローテーション・新しい順のページング
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAuditLog } = require("../audit-log");
+
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-test-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("ログが無ければ空", async () => {
+  const log = createAuditLog({ dir: path.join(tmpDir(), "none") });
+  assert.deepEqual(await log.query(), { items: [], total: 0 });
+});
+
+test("maxBytes を超えたらローテーションし、maxFiles より古いものは消す", async () => {
+  const dir = tmpDir();
+  const log = createAuditLog({ dir, maxBytes: 500, maxFiles: 3 });
+  for (let i = 0; i < 100; i++) log.append({ i, pad: "x".repeat(20) });
+
+  const files = fs.readdirSync(dir).sort();
+  assert.deepEqual(files, ["audit.1.jsonl", "audit.2.jsonl", "audit.jsonl"]);
+  for (const f of files) assert.ok(fs.statSync(path.join(dir, f)).size < 600);
+
+  // 残っているのは新しい側だけで、新しい順に並ぶ
+  const { items, total } = await log.query({ limit: 200 });
+  assert.equal(items.length, total);
+  assert.ok(total < 100);
+  assert.equal(items[0].i, 99);
+  assert.deepEqual(items.map((e) => e.i), Array.from({ length: total }, (_, k) => 99 - k));
+});
+
+test("offset / limit / filter はファイルをまたいでも新しい順", async () => {
+  const dir = tmpDir();
+  const log = createAuditLog({ dir, maxBytes: 300, maxFiles: 10 });
+  for (let i = 0; i < 60; i++) log.append({ i, odd: i % 2 === 1 });
+  assert.ok(fs.readdirSync(dir).length > 2);
+
+  const page = await log.query({ offset: 5, limit: 10 });
+  assert.equal(page.total, 60);
+  assert.deepEqual(page.items.map((e) => e.i), [54, 53, 52, 51, 50, 49, 48, 47, 46, 45]);
+
+  const odd = await log.query({ filter: (e) => e.odd, offset: 20, limit: 20 });
+  assert.equal(odd.total, 30);
+  assert.deepEqual(odd.items.map((e) => e.i), [19, 17, 15, 13, 11, 9, 7, 5, 3, 1]);
+
+  const past = await log.query({ offset: 100, limit: 10 });
+  assert.deepEqual(past, { items: [], total: 60 });
+});
+
+test("壊れた行は読み飛ばす", async () => {
+  const dir = tmpDir();
+  const log = createAuditLog({ dir });
+  log.append({ i: 1 });
+  fs.appendFileSync(path.join(dir, "audit.jsonl"), "{broken\n");
+  log.append({ i: 2 });
+  const { items } = await log.query();
+  assert.deepEqual(items.map((e) => e.i), [2, 1]);
+  assert.ok(items.every((e) => typeof e.at === "number"));
+});
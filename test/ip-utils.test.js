@@ -0,0 +1,37 @@
+// ip-utils.js：IP / CIDR の解析・正規化とレンジ照合
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseIp, parseCidr, formatCidr, normalizeIp, createIpMatcher } = require("../ip-utils");
+
+test("IPv4 / IPv6 を解析し、不正な表記は null", () => {
+  assert.deepEqual(parseIp("1.2.3.4"), { version: 4, value: 0x01020304n });
+  assert.equal(parseIp("2001:db8::1").version, 6);
+  assert.equal(parseIp("256.0.0.1"), null);
+  assert.equal(parseIp("1.2.3"), null);
+  assert.equal(parseIp("2001:db8::1::2"), null);
+  assert.equal(parseIp(""), null);
+});
+
+test("IPv4射影アドレスは IPv4 として扱う", () => {
+  assert.equal(normalizeIp("::ffff:10.0.0.1"), "10.0.0.1");
+  assert.equal(formatCidr(parseCidr("::ffff:10.0.0.0/104")), "10.0.0.0/8");
+});
+
+test("CIDR はネットワーク部に丸めて正規化する", () => {
+  assert.equal(formatCidr(parseCidr("192.168.1.77/24")), "192.168.1.0/24");
+  assert.equal(formatCidr(parseCidr("2001:0db8:0000:0000:0000:0000:0000:0001/64")), "2001:db8::/64");
+  assert.equal(formatCidr(parseCidr("1.2.3.4")), "1.2.3.4");
+  assert.equal(parseCidr("1.2.3.4/33"), null);
+  assert.equal(parseCidr("1.2.3.4/8/1"), null);
+});
+
+test("createIpMatcher は単体IPとレンジの両方に一致する", () => {
+  const m = createIpMatcher(["10.0.0.0/8", "192.168.1.5", "2001:db8::/32", "not-an-ip"]);
+  assert.equal(m.has("10.20.30.40"), true);
+  assert.equal(m.has("::ffff:10.1.1.1"), true);
+  assert.equal(m.has("192.168.1.5"), true);
+  assert.equal(m.has("192.168.1.6"), false);
+  assert.equal(m.has("2001:db8:1234::1"), true);
+  assert.equal(m.has("2001:db9::1"), false);
+  assert.equal(m.has("garbage"), false);
+});
@@ -0,0 +1,43 @@
+// pii-detectors.js：個人情報・連絡先の検出
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectPersonalInfo } = require("../pii-detectors");
+
+const ids = (text, enabled) => detectPersonalInfo(text, enabled).map((h) => h.id);
+const withoutAtHandle = (id) => id !== "atHandle";
+
+test("メールアドレスと電話番号", () => {
+  assert.deepEqual(ids("連絡は foo.bar@example.com へ"), ["email"]);
+  assert.deepEqual(ids("090-1234-5678"), ["phone"]);
+  assert.deepEqual(ids("０９０ １２３４ ５６７８"), ["phone"]);
+  assert.deepEqual(ids("+81 90 1234 5678"), ["phone"]);
+  assert.deepEqual(ids("12345 と 2024-01-01"), []);
+});
+
+test("数字を読みで書いた電話番号", () => {
+  assert.deepEqual(ids("ぜろきゅうぜろ いちにさんよん ごろくななはち"), ["spelledPhone"]);
+  assert.deepEqual(ids("ゼロ九〇1234五六七八"), ["spelledPhone"]);
+});
+
+test("サービス名 + ID", () => {
+  assert.deepEqual(ids("LINE ID: abcd1234", withoutAtHandle), ["line"]);
+  assert.deepEqual(ids("インスタ@my.account", withoutAtHandle), ["instagram"]);
+  assert.deepEqual(ids("twitter: someone", withoutAtHandle), ["x"]);
+  assert.deepEqual(ids("X: @someone", withoutAtHandle), ["x"]);
+  assert.deepEqual(ids("kakao: abc", withoutAtHandle), ["kakao"]);
+});
+
+test("普通の単語でもあるサービス名は id か @ が無ければ拾わない", () => {
+  assert.deepEqual(ids("x: hello"), []);
+  assert.deepEqual(ids("line: hello world"), []);
+  assert.deepEqual(ids("max: hello"), []);
+});
+
+test("サービス名なしの @ハンドル（メールアドレスはメールアドレスとして数える）", () => {
+  assert.deepEqual(ids("@someone よろしく"), ["atHandle"]);
+  assert.deepEqual(ids("foo@example.com"), ["email"]);
+});
+
+test("無効にした検出器は使わない", () => {
+  assert.deepEqual(ids("foo@example.com", (id) => id !== "email"), []);
+});
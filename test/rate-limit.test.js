@@ -0,0 +1,76 @@
+// rate-limit.js：トークンバケット / 類似メッセージ / 違反回数 / 急増の検出
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createTokenBuckets,
+  createDuplicateTracker,
+  createStrikeCounter,
+  createEventWindow,
+  similarity,
+} = require("../rate-limit");
+
+test("トークンバケット：burst まで通し、回復までの待ち時間を返す", () => {
+  const b = createTokenBuckets();
+  const opts = { burst: 3, refillMs: 1000 };
+  for (let i = 0; i < 3; i++) assert.equal(b.take("k", { ...opts, now: 0 }), 0);
+  assert.equal(b.take("k", { ...opts, now: 0 }), 1000);
+  assert.equal(b.take("k", { ...opts, now: 400 }), 600);
+  assert.equal(b.take("k", { ...opts, now: 1000 }), 0);
+  // 別の key は別のバケット
+  assert.equal(b.take("other", { ...opts, now: 1000 }), 0);
+});
+
+test("トークンバケット：cost と満タンになったものの evict", () => {
+  const b = createTokenBuckets();
+  assert.equal(b.take("k", { burst: 3, refillMs: 1000, cost: 3, now: 0 }), 0);
+  assert.equal(b.take("k", { burst: 3, refillMs: 1000, cost: 2, now: 0 }), 2000);
+  b.evict(2999);
+  assert.equal(b.size, 1);
+  b.evict(3000);
+  assert.equal(b.size, 0);
+});
+
+test("トークンバケット：refillMs / burst が 0 なら制限しない", () => {
+  const b = createTokenBuckets();
+  for (let i = 0; i < 10; i++) assert.equal(b.take("k", { burst: 0, refillMs: 1000, now: 0 }), 0);
+});
+
+test("similarity は編集距離ベース", () => {
+  assert.equal(similarity("abc", "abc"), 1);
+  assert.equal(similarity("abc", ""), 0);
+  assert.ok(similarity("こんにちは！", "こんにちは!!") > 0.6);
+  assert.ok(similarity("hello", "world") < 0.5);
+});
+
+test("類似メッセージ：maxRepeats を超えたら duplicate、拒否分は積まない、窓が過ぎたら通す", () => {
+  const d = createDuplicateTracker({ normalize: (t) => t.toLowerCase() });
+  const opts = { windowMs: 10000, maxRepeats: 2 };
+  assert.equal(d.check("k", "Spam message", { ...opts, now: 0 }).duplicate, false);
+  assert.equal(d.check("k", "spam message", { ...opts, now: 1 }).duplicate, false);
+  assert.equal(d.check("k", "spam messages", { ...opts, now: 2 }).duplicate, true);
+  assert.equal(d.check("k", "spam message", { ...opts, now: 3 }).count, 2);
+  assert.equal(d.check("k", "something else", { ...opts, now: 4 }).duplicate, false);
+  assert.equal(d.check("k", "spam message", { ...opts, now: 10001 }).duplicate, false);
+});
+
+test("違反回数：debounce 内の連続は1回、reset で消える", () => {
+  const s = createStrikeCounter({ debounceMs: 1000 });
+  const opts = { windowMs: 60000 };
+  assert.equal(s.add("k", { ...opts, now: 0 }), 1);
+  assert.equal(s.add("k", { ...opts, now: 500 }), null);
+  assert.equal(s.add("k", { ...opts, now: 1500 }), 2);
+  assert.equal(s.add("k", { ...opts, now: 61000 }), 2); // 最初の1回は期限切れ
+  s.reset("k");
+  assert.equal(s.add("k", { ...opts, now: 62000 }), 1);
+});
+
+test("急増の検出：窓内の件数と tag の種類数", () => {
+  const w = createEventWindow();
+  const opts = { windowMs: 1000 };
+  w.record("room", { ...opts, tag: "1.1.1.1", now: 0 });
+  w.record("room", { ...opts, tag: "1.1.1.1", now: 100 });
+  assert.deepEqual(w.record("room", { ...opts, tag: "2.2.2.2", now: 200 }), { count: 3, distinct: 2 });
+  assert.deepEqual(w.record("room", { ...opts, tag: "3.3.3.3", now: 1150 }), { count: 2, distinct: 2 });
+  w.evict(1000, 5000);
+  assert.equal(w.size, 0);
+});
@@ -0,0 +1,51 @@
+// regex-guard.js：worker での正規表現評価（時間切れのパターンの無効化・待ちすぎたら一致なしで返す）
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRegexGuard } = require("../regex-guard");
+
+// (a+)+$ に "aaa…!" を渡すと指数時間かかる
+const SLOW = "(a+)+$";
+const SLOW_TEXT = "a".repeat(40) + "!";
+
+test("一致した範囲をテキストごとに返す", async () => {
+  const guard = createRegexGuard({ timeoutMs: 500 });
+  guard.setPatterns([{ source: "foo", room: null }, { source: "ba+r", room: "night" }]);
+  const results = await guard.test(["xx foo foo", "baaar"]);
+  assert.deepEqual(
+    results.map((r) => [r.pattern.source, r.ranges]),
+    [
+      ["foo", [[[3, 6], [7, 10]], []]],
+      ["ba+r", [[], [[0, 5]]]],
+    ]
+  );
+
+  const filtered = await guard.test(["baaar"], (p) => p.room === null);
+  assert.deepEqual(filtered, []);
+});
+
+test("timeoutMs を超えたパターンは onTimeout で知らせて無効化し、ほかのパターンは使い続ける", async () => {
+  const timedOut = [];
+  const guard = createRegexGuard({ timeoutMs: 50, budgetMs: 5000, onTimeout: (p) => timedOut.push(p.source) });
+  guard.setPatterns([{ source: SLOW }, { source: "a!" }]);
+
+  const results = await guard.test([SLOW_TEXT]);
+  assert.deepEqual(timedOut, [SLOW]);
+  assert.deepEqual(results.map((r) => r.pattern.source), ["a!"]);
+
+  // 無効化されたパターンは次から評価しない
+  const again = await guard.test([SLOW_TEXT]);
+  assert.deepEqual(again.map((r) => r.pattern.source), ["a!"]);
+  assert.equal(timedOut.length, 1);
+});
+
+test("budgetMs を超えたら一致なしとして先に返す（fail open）", async () => {
+  const skipped = [];
+  const guard = createRegexGuard({ timeoutMs: 300, budgetMs: 30, onBudgetExceeded: (texts) => skipped.push(texts) });
+  guard.setPatterns([{ source: SLOW }]);
+
+  const started = Date.now();
+  const results = await guard.test([SLOW_TEXT]);
+  assert.deepEqual(results, []);
+  assert.ok(Date.now() - started < 250);
+  assert.deepEqual(skipped, [[SLOW_TEXT]]);
+});
@@ -0,0 +1,46 @@
+// url-policy.js：URL の抽出（スキーム無し・IDN・言い換え）と拒否 / 許可リストの判定
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeHost, extractUrls, findBlockedUrl } = require("../url-policy");
+
+const hosts = (text) => extractUrls(text).map((u) => u.host);
+
+test("normalizeHost はスキーム・パス・ポートを外して punycode にする", () => {
+  assert.equal(normalizeHost("HTTPS://ＷＷＷ.例え.jp/path"), "www.xn--r8jz45g.jp");
+  assert.equal(normalizeHost("user@example.com:8080/x"), "example.com");
+  assert.equal(normalizeHost("localhost"), null);
+});
+
+test("スキーム無し・全角・[.] での言い換えも拾う", () => {
+  assert.deepEqual(hosts("見てdiscord.gg/abc"), ["discord.gg"]);
+  assert.deepEqual(hosts("discord[.]gg"), ["discord.gg"]);
+  assert.deepEqual(hosts("ｗｗｗ．ｅｘａｍｐｌｅ．ｃｏｍ"), ["www.example.com"]);
+  assert.deepEqual(hosts("例え.jp"), ["xn--r8jz45g.jp"]);
+});
+
+test("普通の文章や英単語と同じTLDはURLとみなさない", () => {
+  assert.deepEqual(hosts("Mr.Smith"), []);
+  assert.deepEqual(hosts("ok.so this.is fine"), []);
+  assert.deepEqual(hosts("t.me"), []);
+  assert.deepEqual(hosts("t.me/abc"), ["t.me"]);
+  assert.deepEqual(hosts("https://t.me"), ["t.me"]);
+});
+
+test("メールアドレスは対象外", () => {
+  assert.deepEqual(hosts("me@example.com"), []);
+});
+
+test("拒否リストはサブドメインと見た目の似た文字にも効く", () => {
+  const policy = { mode: "denylist", domains: ["discord.gg"] };
+  assert.equal(findBlockedUrl(extractUrls("https://discord.gg/x"), policy).reason, "denied");
+  assert.equal(findBlockedUrl(extractUrls("https://a.discord.gg"), policy).reason, "denied");
+  // キリル文字の "і"
+  assert.equal(findBlockedUrl(extractUrls("https://dіscord.gg/x"), policy).reason, "lookalike");
+  assert.equal(findBlockedUrl(extractUrls("https://example.com"), policy), null);
+});
+
+test("許可リストは載っていないドメインを止める", () => {
+  const policy = { mode: "allowlist", domains: ["example.com"] };
+  assert.equal(findBlockedUrl(extractUrls("https://www.example.com/a"), policy), null);
+  assert.equal(findBlockedUrl(extractUrls("https://evil.com"), policy).reason, "not_allowed");
+});
@@ -62,7 +62,7 @@ function nextId(list) {
 //   { "id": 1, "text": "お題", "weight": 1, "rooms": ["main","night"] },
 //   ...
 // ]
-function loadAll() {
+function readFromDisk() {
   const data = readJsonSafe(TOPICS_FILE, []);
 
   // 旧形式（部屋別オブジェクト）→移行
@@ -99,18 +99,7 @@ function loadAll() {
 
   // すでに新形式（配列 of object）
   if (Array.isArray(data)) {
-    const normalized = data
-      .map((t) => {
-        if (!t || typeof t !== "object") return null;
-        const id = Number(t.id);
-        if (!Number.isFinite(id)) return null;
-        const text = String(t.text ?? "").trim();
-        if (!text) return null;
-        const weight = clampInt(t.weight ?? 1, 1, 100, 1);
-        const rooms = sanitizeRooms(t.rooms);
-        return { id, text, weight, rooms };
-      })
-      .filter(Boolean);
+    const normalized = data.map(normalizeTopic).filter(Boolean);
 
     // 不正データが混じってたら整形保存
     if (normalized.length !== data.length) writeJsonSafe(TOPICS_FILE, normalized);
@@ -120,8 +109,47 @@ function loadAll() {
   return [];
 }
 
+function normalizeTopic(t) {
+  if (!t || typeof t !== "object") return null;
+  const id = Number(t.id);
+  if (!Number.isFinite(id)) return null;
+  const text = String(t.text ?? "").trim();
+  if (!text) return null;
+  const weight = clampInt(t.weight ?? 1, 1, 100, 1);
+  const rooms = sanitizeRooms(t.rooms);
+  return { id, text, weight, rooms };
+}
+
+// 読み込んだ一覧はメモリに持つ（topics.json を直接編集したときは reloadTopics で入れ替える）
+let cache = null;
+
+// 呼び出し側が書き換えても cache が変わらないようにコピーを返す
+function loadAll() {
+  if (!cache) cache = readFromDisk();
+  return cache.map((t) => ({ ...t, rooms: [...t.rooms] }));
+}
+
 function saveAll(all) {
   writeJsonSafe(TOPICS_FILE, all);
+  cache = all.map((t) => ({ ...t, rooms: [...t.rooms] }));
+}
+
+// topics.json の変更を反映する（新形式の配列のみ）。不正なら例外、今と同じ内容なら false
+// 読み直しではファイルを書き換えない（監視からの再読み込みがループしないように）
+function reloadTopics(data) {
+  if (!Array.isArray(data)) throw new Error("topics.json must be an array");
+  const ids = new Set();
+  const next = data.map((t, i) => {
+    const item = normalizeTopic(t);
+    if (!item) throw new Error(`invalid topic at index ${i}`);
+    if (ids.has(item.id)) throw new Error(`duplicate topic id ${item.id}`);
+    ids.add(item.id);
+    return item;
+  });
+
+  if (cache && JSON.stringify(next) === JSON.stringify(cache)) return false;
+  cache = next;
+  return true;
 }
 
 function getAllTopics() {
@@ -202,6 +230,8 @@ function drawTopic(room) {
 }
 
 module.exports = {
+  TOPICS_FILE,
+  reloadTopics,
   drawTopic,
   getTopics,
   getAllTopics,     // ★追加
@@ -0,0 +1,111 @@
+// url-policy.js（メッセージ中のURL・ドメインの抽出と、拒否リスト / 許可リストでの判定）
+// - "https://..." だけでなく "www.example.com" や "discord.gg/xxx" のようなスキーム無しも拾う
+// - 全角・"discord[.]gg" のような書き方、IDN（日本語ドメイン・punycode）を正規化して比較する
+// - 拒否リストは見た目が似た文字（キリル文字の "а" など）での言い換えも同じドメインとみなす
+const { domainToASCII, domainToUnicode } = require("url");
+
+const URL_POLICY_MODES = ["denylist", "allowlist"];
+
+// スキーム無しのドメインとして扱うTLD（"Mr.Smith" のような普通の文章を誤検出しないため限定）
+// punycode の TLD（xn--）と、スキームや www. が付いたものはTLDを問わない
+const KNOWN_TLDS = new Set(
+  (
+    "com net org info biz xyz top site online link club shop store live fun icu vip pw ws to me ly gg io co cc tv " +
+    "app dev page ai so sh am fm im is it in us uk de fr ru cn kr tw hk jp eu asia tk ml ga cf gq su ua br au ca " +
+    "nl es pl ch se no fi be at cz mx ar id th vn ph my sg nz za tr ir pk bd lk la kh mn kz " +
+    "moe tokyo osaka nagoya yokohama ninja work space website tech blog news social chat email gay porn sex xxx adult"
+  ).split(/\s+/)
+);
+
+// 英単語と同じ綴りのTLD。"ok.so" "this.is" のような文章を拾わないよう、
+// スキーム・www.・パス（"t.me/xxx" など）のどれかが付いたときだけURLとみなす
+const AMBIGUOUS_TLDS = new Set(["so", "is", "it", "to", "me", "in", "am"]);
+
+// 「discord[.]gg」「discord(dot)gg」「discord。gg」などを "." に寄せる
+const DOT_VARIANTS_RE = /\s*(?:\[\.\]|\(\.\)|\[dot\]|\(dot\)|。|｡)\s*/gi;
+
+const URL_CANDIDATE_RE =
+  /(?:https?:\/\/|www\.)[^\s<>"'「」]+|(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})(?![\p{L}\p{N}-])(?:[/:?#][^\s<>"'「」]*)?/giu;
+
+// 見た目が似た文字 → ASCII（拒否リストの言い換え対策。よく使われるものだけ）
+const CONFUSABLES = {
+  а: "a", в: "b", е: "e", ё: "e", к: "k", м: "m", н: "h", о: "o", р: "p", с: "c", т: "t", у: "y", х: "x",
+  і: "i", ї: "i", ј: "j", ѕ: "s", ԁ: "d", ԛ: "q", ԝ: "w", ӏ: "l", ɡ: "g", ı: "i",
+  α: "a", β: "b", ε: "e", ι: "i", κ: "k", ν: "v", ο: "o", ρ: "p", τ: "t", υ: "u", χ: "x",
+  "0": "o", "1": "l",
+};
+
+function hostSkeleton(asciiHost) {
+  const unicode = domainToUnicode(asciiHost) || asciiHost;
+  let out = "";
+  for (const ch of unicode.normalize("NFKD").replace(/\p{M}/gu, "")) out += CONFUSABLES[ch] || ch;
+  return out;
+}
+
+// "HTTPS://ＷＷＷ.例え.jp/path" → "www.xn--r8jz45g.jp"（不正なら null）
+function normalizeHost(input) {
+  let s = String(input ?? "").normalize("NFKC").trim().toLowerCase();
+  s = s.replace(DOT_VARIANTS_RE, ".");
+  s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//, "");
+  s = s.split(/[/?#]/)[0];
+  s = s.replace(/^[^@]*@/, "").replace(/:\d*$/, "").replace(/\.$/, "");
+  if (!s || s.length > 253) return null;
+  const ascii = domainToASCII(s);
+  if (!ascii || !ascii.includes(".")) return null;
+  return ascii;
+}
+
+// テキスト中のURLらしきもの → [{ raw, host(ASCII) }]
+function extractUrls(text) {
+  const src = String(text ?? "").normalize("NFKC").replace(DOT_VARIANTS_RE, ".");
+  const out = [];
+  for (const m of src.matchAll(URL_CANDIDATE_RE)) {
+    if (src[m.index - 1] === "@") continue; // メールアドレスは個人情報チェックの担当
+
+    // 「見てdiscord.gg」のように日本語に続けて書かれたものは、日本語部分を外す
+    let raw = m[0];
+    if (/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+[a-z0-9]/iu.test(raw)) {
+      raw = raw.replace(/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+/u, "");
+    }
+    const host = normalizeHost(raw);
+    if (!host) continue;
+
+    const explicit = /^(?:https?:\/\/|www\.)/i.test(raw);
+    const tld = host.slice(host.lastIndexOf(".") + 1);
+    if (!explicit && !KNOWN_TLDS.has(tld) && !tld.startsWith("xn--")) continue;
+    if (!explicit && AMBIGUOUS_TLDS.has(tld) && !/[/:?#]/.test(raw)) continue;
+
+    out.push({ raw, host });
+  }
+  return out;
+}
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith("." + domain);
+}
+
+// policy: { mode, domains: [ASCII化済みのドメイン] }
+// 戻り値: 送信できないURLの { raw, host, reason: "denied" | "lookalike" | "not_allowed" } / null
+function findBlockedUrl(urls, policy) {
+  const domains = (policy && policy.domains) || [];
+  const mode = policy && policy.mode === "allowlist" ? "allowlist" : "denylist";
+
+  for (const u of urls) {
+    if (mode === "allowlist") {
+      if (!domains.some((d) => hostMatches(u.host, d))) return { ...u, reason: "not_allowed" };
+      continue;
+    }
+
+    if (domains.some((d) => hostMatches(u.host, d))) return { ...u, reason: "denied" };
+    const sk = hostSkeleton(u.host);
+    if (domains.some((d) => hostMatches(sk, hostSkeleton(d)))) return { ...u, reason: "lookalike" };
+  }
+  return null;
+}
+
+module.exports = {
+  URL_POLICY_MODES,
+  normalizeHost,
+  extractUrls,
+  findBlockedUrl,
+};